@@ -0,0 +1,462 @@
+import 'dotenv/config';
+import { existsSync } from 'fs';
+import * as path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { runAudit } from './commands/audit.mjs';
+import { runCopy } from './commands/copy.mjs';
+import { runDedupe, runUndo } from './commands/dedupe.mjs';
+import { runTranscode } from './commands/transcode.mjs';
+import { AUDIT_OPTIONS, toAuditOptions } from './lib/audit.mjs';
+import { DEDUPE_OPTIONS, toDedupeOptions, toUndoOptions, UNDO_OPTIONS } from './lib/dedupe.mjs';
+import { DESTINATION_TYPES } from './lib/destinations.mjs';
+import { encodingProfileNames } from './lib/encoding-profiles.mjs';
+import { invalidDateFilters } from './lib/input-keys.mjs';
+import { DEFAULT_FOLDER_TEMPLATE, unknownTemplatePlaceholders } from './lib/vdr-key.mjs';
+
+// One entry point for every workflow:
+//
+//   node cli.mjs <command> [options]
+//   node cli.mjs <command> --help
+//
+// Flags override the matching environment variables (BUCKET, REGION,
+// GOOGLE_DRIVE_FOLDER_ID, INPUT_FILE, INPUT_PREFIXES, DESTINATIONS, DEST_BUCKET,
+// DEST_PREFIX, DEST_DIR, TRANSCODE_STREAMING, WORK_LEASES, METRICS_PORT,
+// ENCODING_PROFILE); everything without a flag (Drive credentials, ledgers, the
+// encoding profiles file, retries, filters...) still comes from the environment
+// or .env. Option specs are util.parseArgs options whose `description` and
+// `valueName` feed --help.
+
+const SHARD_OPTIONS = {
+  shard: {
+    type: 'string',
+    default: '0/1',
+    valueName: 'i/n',
+    description: 'process every n-th input key, starting with key i',
+  },
+};
+
+const LEASE_OPTIONS = {
+  leases: {
+    type: 'string',
+    valueName: 'dir|s3://bucket/prefix',
+    description:
+      'instead of --shard, claim keys through leases kept here; any number of instances ' +
+      'can share it and join or leave mid-run (default: WORK_LEASES)',
+  },
+};
+
+const METRICS_OPTIONS = {
+  'metrics-port': {
+    type: 'string',
+    valueName: 'port',
+    description:
+      'serve Prometheus metrics on /metrics and a health check on /healthz (default: METRICS_PORT)',
+  },
+};
+
+const INPUT_OPTIONS = {
+  input: {
+    type: 'string',
+    valueName: 'file',
+    description: 'comma-separated key list (default: INPUT_FILE or id_list.txt)',
+  },
+  prefix: {
+    type: 'string',
+    multiple: true,
+    valueName: 'prefix',
+    description:
+      'list input keys under this S3 prefix instead; repeatable (default: INPUT_PREFIXES)',
+  },
+};
+
+const S3_OPTIONS = {
+  bucket: { type: 'string', valueName: 'name', description: 'S3 bucket (default: BUCKET)' },
+  region: { type: 'string', valueName: 'region', description: 'AWS region (default: REGION)' },
+};
+
+const DRIVE_OPTIONS = {
+  'drive-folder': {
+    type: 'string',
+    valueName: 'id',
+    description: 'destination Google Drive folder ID (default: GOOGLE_DRIVE_FOLDER_ID)',
+  },
+};
+
+const DEST_OPTIONS = {
+  dest: {
+    type: 'string',
+    multiple: true,
+    valueName: DESTINATION_TYPES.join('|'),
+    description: 'where to deliver files; repeatable or comma-separated (default: DESTINATIONS)',
+  },
+  'dest-bucket': {
+    type: 'string',
+    valueName: 'name',
+    description: 'bucket of the s3 destination (default: DEST_BUCKET, region: DEST_REGION)',
+  },
+  'dest-prefix': {
+    type: 'string',
+    valueName: 'prefix',
+    description: 'key prefix in the s3 destination (default: DEST_PREFIX)',
+  },
+  'dest-dir': {
+    type: 'string',
+    valueName: 'dir',
+    description: 'directory of the local destination (default: DEST_DIR)',
+  },
+};
+
+const ENCODERS = ['cpu', 'nvenc'];
+const EXECUTE_METHODS = ['exec', 'spawn'];
+
+const TRANSCODE_OPTIONS = {
+  encoder: {
+    type: 'string',
+    default: 'nvenc',
+    valueName: ENCODERS.join('|'),
+    description: 'encode with libx264 on the CPU or h264_nvenc on the GPU',
+  },
+  exec: {
+    type: 'string',
+    default: 'exec',
+    valueName: EXECUTE_METHODS.join('|'),
+    description: 'run ffmpeg through a shell or spawn it directly',
+  },
+  stream: {
+    type: 'boolean',
+    default: false,
+    description:
+      'pipe inputs from S3 through ffmpeg back to S3, and deliver outputs from there, ' +
+      'without local files where the input allows it (default: TRANSCODE_STREAMING)',
+  },
+  profile: {
+    type: 'string',
+    valueName: 'name',
+    description:
+      'encode every key with this profile from encoding-profiles.json instead of the ' +
+      'per-camera and default ones (default: ENCODING_PROFILE)',
+  },
+};
+
+const HELP_OPTIONS = {
+  help: { type: 'boolean', short: 'h', default: false, description: 'show this help' },
+};
+
+// `parse` validates the command's own flags before anything runs; `needs`
+// lists the settings the command cannot run without; `destinations` gives the
+// default destinations and how many the command takes
+const COMMANDS = {
+  transcode: {
+    summary: 'transcode input keys to MP4, upload them to S3 and deliver them to destinations',
+    options: {
+      ...SHARD_OPTIONS,
+      ...LEASE_OPTIONS,
+      ...METRICS_OPTIONS,
+      ...INPUT_OPTIONS,
+      ...S3_OPTIONS,
+      ...DRIVE_OPTIONS,
+      ...DEST_OPTIONS,
+      ...TRANSCODE_OPTIONS,
+    },
+    needs: ['bucket'],
+    // Without a Drive folder the S3 output copy is the only one
+    destinations: { defaults: (config) => (config.driveFolderId ? ['drive'] : []) },
+    parse: (values) => {
+      if (!ENCODERS.includes(values.encoder)) {
+        throw usageError(`Unknown --encoder "${values.encoder}" (expected ${ENCODERS.join(', ')})`);
+      }
+      if (!EXECUTE_METHODS.includes(values.exec)) {
+        throw usageError(
+          `Unknown --exec "${values.exec}" (expected ${EXECUTE_METHODS.join(', ')})`
+        );
+      }
+      return {};
+    },
+    run: (config) => runTranscode(config),
+  },
+  copy: {
+    summary: 'copy input keys unchanged from S3 to destinations (default: Google Drive)',
+    options: {
+      ...SHARD_OPTIONS,
+      ...LEASE_OPTIONS,
+      ...METRICS_OPTIONS,
+      ...INPUT_OPTIONS,
+      ...S3_OPTIONS,
+      ...DRIVE_OPTIONS,
+      ...DEST_OPTIONS,
+    },
+    needs: ['bucket'],
+    destinations: { defaults: () => ['drive'], min: 1 },
+    parse: () => ({}),
+    run: (config) => runCopy(config),
+  },
+  dedupe: {
+    summary: 'find and handle duplicate files in Google Drive, or undo a dedupe run',
+    options: { ...DRIVE_OPTIONS, ...DEDUPE_OPTIONS, ...UNDO_OPTIONS },
+    needs: ['driveFolderId'],
+    parse: (values) => {
+      if (values.undo) return { undo: toUndoOptions(values) };
+      if (values.run || values['list-runs']) {
+        throw usageError('--run and --list-runs only apply with --undo');
+      }
+      return toDedupeOptions(values);
+    },
+    run: (config, options) =>
+      options.undo ? runUndo(config, options.undo) : runDedupe(config, options),
+  },
+  audit: {
+    summary: 'reconcile the input keys with what is in a destination (default: Google Drive)',
+    options: {
+      ...INPUT_OPTIONS,
+      ...S3_OPTIONS,
+      ...DRIVE_OPTIONS,
+      ...DEST_OPTIONS,
+      ...AUDIT_OPTIONS,
+    },
+    needs: ['bucket'],
+    destinations: { defaults: () => ['drive'], min: 1, max: 1 },
+    parse: (values) => toAuditOptions(values),
+    run: (config, options) => runAudit(config, options),
+  },
+};
+
+const NEEDS_HINTS = {
+  bucket: 'No S3 bucket: pass --bucket or set BUCKET',
+  driveFolderId: 'No Google Drive folder: pass --drive-folder or set GOOGLE_DRIVE_FOLDER_ID',
+  destBucket: 'The s3 destination needs a bucket: pass --dest-bucket or set DEST_BUCKET',
+  destDir: 'The local destination needs a directory: pass --dest-dir or set DEST_DIR',
+};
+
+// The settings each destination type cannot work without
+const DESTINATION_NEEDS = {
+  drive: 'driveFolderId',
+  s3: 'destBucket',
+  local: 'destDir',
+};
+
+function usageError(message) {
+  const error = new Error(message);
+  error.name = 'UsageError';
+  return error;
+}
+
+// `0/4` -> { index: 0, total: 4 }
+export function parseShard(value) {
+  const match = /^(\d+)\/(\d+)$/.exec(value);
+  if (!match) {
+    throw usageError(`--shard must look like <index>/<total>, e.g. 0/4: ${value}`);
+  }
+  const index = parseInt(match[1], 10);
+  const total = parseInt(match[2], 10);
+  if (total < 1 || index >= total) {
+    throw usageError(`--shard index must be between 0 and ${total - 1}: ${value}`);
+  }
+  return { index, total };
+}
+
+// null when unset
+function parsePort(value) {
+  if (!value) return null;
+  const port = /^\d+$/.test(value) ? parseInt(value, 10) : NaN;
+  if (!(port <= 65535)) throw usageError(`--metrics-port must be a port number: ${value}`);
+  return port;
+}
+
+function parseFolderTemplate(value) {
+  const unknown = unknownTemplatePlaceholders(value);
+  if (unknown.length > 0) {
+    const names = unknown.map((name) => `{${name}}`).join(', ');
+    throw usageError(`DRIVE_FOLDER_TEMPLATE has unknown placeholders ${names}: ${value}`);
+  }
+  return value;
+}
+
+// null when unset
+function parseProfile(value) {
+  if (!value) return null;
+  const names = encodingProfileNames();
+  if (!names.includes(value)) {
+    throw usageError(
+      `Unknown encoding profile "${value}" (expected ${names.join(', ') || 'none defined'})`
+    );
+  }
+  return value;
+}
+
+// `--dest s3 --dest drive`, `--dest s3,drive` and DESTINATIONS=s3,drive are
+// all the same; undefined when nothing was asked for
+function parseDestinations(values, env) {
+  const raw = values.dest || (env.DESTINATIONS ? [env.DESTINATIONS] : null);
+  if (!raw) return undefined;
+  const names = raw.flatMap((value) => value.split(',').map((name) => name.trim())).filter(Boolean);
+  for (const name of names) {
+    if (!DESTINATION_TYPES.includes(name)) {
+      throw usageError(`Unknown destination "${name}" (expected ${DESTINATION_TYPES.join(', ')})`);
+    }
+  }
+  return [...new Set(names)];
+}
+
+// Settings shared by every command; flags win over the environment
+function buildConfig(command, values, env = process.env) {
+  if (values.input && values.prefix) {
+    throw usageError('Use either --input or --prefix, not both');
+  }
+  if (values.input && !existsSync(values.input)) {
+    throw usageError(`Input file not found: ${values.input}`);
+  }
+
+  // loadInputKeys reads its source and filters from an env-like object
+  const inputEnv = { ...env };
+  if (values.input) {
+    inputEnv.INPUT_FILE = values.input;
+    delete inputEnv.INPUT_PREFIXES;
+  }
+  if (values.prefix) inputEnv.INPUT_PREFIXES = values.prefix.join(',');
+  const [badDate] = invalidDateFilters(inputEnv);
+  if (badDate) {
+    throw usageError(`${badDate} must be yyyy-MM-dd or an ISO time: ${inputEnv[badDate]}`);
+  }
+
+  const config = {
+    command,
+    bucket: values.bucket || env.BUCKET,
+    region: values.region || env.REGION,
+    driveFolderId: values['drive-folder'] || env.GOOGLE_DRIVE_FOLDER_ID,
+    // Drive folder layout under the folder, e.g. {org}/{site}/{camera}/{yyyy-MM-dd}
+    folderTemplate: parseFolderTemplate(env.DRIVE_FOLDER_TEMPLATE || DEFAULT_FOLDER_TEMPLATE),
+    shard: values.shard ? parseShard(values.shard) : { index: 0, total: 1 },
+    // Only transcode and copy take --leases and --metrics-port
+    leases: COMMANDS[command].options.leases ? values.leases || env.WORK_LEASES || null : null,
+    metricsPort: COMMANDS[command].options['metrics-port']
+      ? parsePort(values['metrics-port'] || env.METRICS_PORT)
+      : null,
+    // Only transcode takes --profile
+    encodingProfile: COMMANDS[command].options.profile
+      ? parseProfile(values.profile || env.ENCODING_PROFILE)
+      : null,
+    inputEnv,
+    useCPU: values.encoder === 'cpu',
+    executeMethod: values.exec || 'exec',
+    streaming: values.stream || env.TRANSCODE_STREAMING === 'true',
+    destBucket: values['dest-bucket'] || env.DEST_BUCKET,
+    destPrefix: values['dest-prefix'] || env.DEST_PREFIX || '',
+    destRegion: env.DEST_REGION,
+    destDir: values['dest-dir'] || env.DEST_DIR,
+  };
+
+  if (config.leases && config.shard.total > 1) {
+    throw usageError('Use either --shard or --leases, not both');
+  }
+
+  const needs = [...COMMANDS[command].needs];
+  const destinationSpec = COMMANDS[command].destinations;
+  if (destinationSpec) {
+    const { defaults, min = 0, max = Infinity } = destinationSpec;
+    config.destinations = parseDestinations(values, env) ?? defaults(config);
+    if (config.destinations.length < min) {
+      throw usageError(`${command} needs a destination: pass --dest or set DESTINATIONS`);
+    }
+    if (config.destinations.length > max) {
+      throw usageError(`${command} takes one destination, got ${config.destinations.join(', ')}`);
+    }
+    needs.push(...config.destinations.map((name) => DESTINATION_NEEDS[name]));
+  }
+
+  for (const setting of needs) {
+    if (!config[setting]) throw usageError(NEEDS_HINTS[setting]);
+  }
+  return config;
+}
+
+function formatOptions(options) {
+  const rows = Object.entries(options).map(([name, spec]) => {
+    const flag = `${spec.short ? `-${spec.short}, ` : ''}--${name}`;
+    const hasDefault = spec.default !== undefined && spec.type === 'string';
+    return [
+      spec.valueName ? `${flag} <${spec.valueName}>` : flag,
+      `${spec.description || ''}${hasDefault ? ` (default: ${spec.default})` : ''}`,
+    ];
+  });
+  const width = Math.max(...rows.map(([flag]) => flag.length)) + 2;
+  return rows.map(([flag, description]) => `  ${flag.padEnd(width)}${description}`).join('\n');
+}
+
+function usage(command) {
+  if (!command) {
+    const width = Math.max(...Object.keys(COMMANDS).map((name) => name.length)) + 2;
+    return [
+      'Usage: node cli.mjs <command> [options]',
+      '',
+      'Commands:',
+      ...Object.entries(COMMANDS).map(([name, { summary }]) => `  ${name.padEnd(width)}${summary}`),
+      '',
+      'Run `node cli.mjs <command> --help` for the options of a command.',
+    ].join('\n');
+  }
+  return [
+    `Usage: node cli.mjs ${command} [options]`,
+    '',
+    `${COMMANDS[command].summary[0].toUpperCase()}${COMMANDS[command].summary.slice(1)}.`,
+    '',
+    'Options:',
+    formatOptions({ ...COMMANDS[command].options, ...HELP_OPTIONS }),
+  ].join('\n');
+}
+
+export async function main(argv) {
+  const [command, ...rest] = argv;
+
+  if (!command || command === '--help' || command === '-h') {
+    console.log(usage());
+    if (!command) process.exitCode = 2;
+    return;
+  }
+
+  try {
+    if (!COMMANDS[command]) {
+      throw usageError(`Unknown command "${command}"`);
+    }
+    const spec = COMMANDS[command];
+    let values;
+    try {
+      ({ values } = parseArgs({ args: rest, options: { ...spec.options, ...HELP_OPTIONS } }));
+    } catch (parseError) {
+      throw usageError(parseError.message);
+    }
+    if (values.help) {
+      console.log(usage(command));
+      return;
+    }
+
+    let options;
+    try {
+      options = spec.parse(values);
+    } catch (optionsError) {
+      throw usageError(optionsError.message);
+    }
+    const config = buildConfig(command, values);
+    await spec.run(config, options);
+  } catch (error) {
+    if (error.name === 'DriveAuthError') {
+      console.error(`❌ ${error.message}`);
+      process.exitCode = 1;
+      return;
+    }
+    if (error.name !== 'UsageError') {
+      console.error('❌ Unexpected error:', error);
+      process.exitCode = 1;
+      return;
+    }
+    console.error(`❌ ${error.message}`);
+    console.error(
+      `Run \`node cli.mjs ${COMMANDS[command] ? `${command} ` : ''}--help\` for usage.`
+    );
+    process.exitCode = 2;
+  }
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main(process.argv.slice(2));
+}
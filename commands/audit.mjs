@@ -0,0 +1,56 @@
+import { HeadObjectCommand, S3Client } from '@aws-sdk/client-s3';
+import { auditDrive, expectedDriveFiles, writeAuditReport, writeRerunList } from '../lib/audit.mjs';
+import { openDestinations } from '../lib/destinations.mjs';
+import { loadInputKeys } from '../lib/input-keys.mjs';
+import { createSemaphore } from '../lib/pipeline.mjs';
+import { withRetry } from '../lib/retry.mjs';
+
+// Compares the expected keys (input list or S3 listing) with the files in the
+// run's destination (Google Drive unless --dest says otherwise) and writes the
+// audit report and a re-run list for the missing keys. `clients` ({ s3, drive })
+// stands in for the real S3 and Drive clients.
+export async function runAudit(config, options, clients = {}) {
+  const client = clients.s3 || new S3Client({ region: config.region });
+  const [destination] = await openDestinations(config, clients);
+
+  const keys = await loadInputKeys(client, config.bucket, config.inputEnv);
+  const expected = expectedDriveFiles(keys, {
+    naming: options.naming,
+    folderTemplate: config.folderTemplate,
+  });
+  console.log(`📋 Auditing ${expected.length} expected files against ${destination.label}`);
+
+  if (!options.skipSizes) {
+    // Sizes of the S3 objects that were uploaded, a few requests at a time
+    const slots = createSemaphore(8);
+    let checked = 0;
+    await Promise.all(
+      expected.map(async (entry) => {
+        await slots.acquire(1);
+        try {
+          const { ContentLength } = await withRetry('download', () =>
+            client.send(new HeadObjectCommand({ Bucket: config.bucket, Key: entry.s3Key }))
+          );
+          entry.expectedSize = ContentLength;
+        } catch (error) {
+          // No S3 object (yet) to compare with
+          if (error.name !== 'NotFound') {
+            console.warn(`⚠️ Could not read size of ${entry.s3Key}: ${error.message}`);
+          }
+        } finally {
+          slots.release(1);
+          checked++;
+          if (checked % 100 === 0) console.log(`🔎 S3 sizes: ${checked}/${expected.length}`);
+        }
+      })
+    );
+  }
+
+  const driveFiles = await destination.list();
+  console.log(`🗂️ Found ${driveFiles.length} files in ${destination.label}`);
+
+  const audit = auditDrive(expected, driveFiles);
+  console.log('📊 Audit summary:', audit.summary);
+  await writeAuditReport(options.report, audit);
+  await writeRerunList(options.rerun, audit);
+}
@@ -0,0 +1,235 @@
+import { HeadObjectCommand, S3Client } from '@aws-sdk/client-s3';
+import { existsSync } from 'fs';
+import { unlink } from 'fs/promises';
+import * as path from 'path';
+import { deliverFile, missingFrom, openDestinations } from '../lib/destinations.mjs';
+import { canResumeSession } from '../lib/drive-upload.mjs';
+import { loadInputKeys } from '../lib/input-keys.mjs';
+import { openLedger } from '../lib/job-ledger.mjs';
+import { countFinishedJob, instrumentS3, startMetricsServer } from '../lib/metrics.mjs';
+import { getPipelineConcurrency, runPipeline } from '../lib/pipeline.mjs';
+import { downloadFromS3, verifyLocalCopy } from '../lib/s3-transfer.mjs';
+import { openScratch } from '../lib/scratch.mjs';
+import { handleShutdown } from '../lib/shutdown.mjs';
+import { formatFolderPath } from '../lib/vdr-key.mjs';
+import { openLeases, runLeasedPipeline } from '../lib/work-leases.mjs';
+
+// `copy`: copies the S3 objects as they are to the run's destinations (see
+// lib/destinations.mjs)
+
+const LEDGER_FILE = process.env.LEDGER_FILE || 'copy-ledger.jsonl';
+
+async function downloadStage(config, client, destinations, ledger, scratch, job) {
+  const INPUT_KEY = job.item;
+  console.log(`\n🔄 Processing file ${job.index + 1}/${job.total}: ${INPUT_KEY}`);
+  ledger.start(INPUT_KEY);
+  job.localPath = scratch.pathFor(INPUT_KEY);
+  job.folderPath = formatFolderPath(INPUT_KEY, config.folderTemplate);
+  console.log(`📂 Destination folder: ${job.folderPath}`);
+  const fileName = path.basename(INPUT_KEY);
+  // Only the destinations that do not have the file yet get it
+  job.destinations = await missingFrom(destinations, job.folderPath, fileName);
+  if (job.destinations.length === 0) {
+    console.log(`⏭️ Skip: ${fileName} already exists in every destination`);
+    ledger.complete(INPUT_KEY, { skipped: 'exists in every destination' });
+    return false;
+  }
+  // A local copy left over from an earlier run is only reused if it still matches S3
+  if (existsSync(job.localPath)) {
+    const sourceChecksums = await verifyLocalCopy(client, config.bucket, INPUT_KEY, job.localPath);
+    if (sourceChecksums) {
+      ledger.setOutputs(INPUT_KEY, { sourceChecksums });
+    } else {
+      await unlink(job.localPath);
+    }
+  }
+
+  // Download from S3
+  if (!existsSync(job.localPath)) {
+    const { ContentLength } = await client.send(
+      new HeadObjectCommand({ Bucket: config.bucket, Key: INPUT_KEY })
+    );
+    try {
+      job.reservation = await scratch.reserve(ContentLength, INPUT_KEY, { signal: job.signal });
+    } catch (spaceError) {
+      console.error(`❌ ${spaceError.message}`);
+      ledger.fail(INPUT_KEY, spaceError);
+      return false;
+    }
+
+    console.log(`⬇️ Downloading: ${INPUT_KEY} from S3`);
+    ledger.setStage(INPUT_KEY, 'downloading');
+    try {
+      const sourceChecksums = await downloadFromS3(
+        client,
+        config.bucket,
+        INPUT_KEY,
+        job.localPath,
+        {
+          signal: job.signal,
+        }
+      );
+      console.log('✅ Downloaded S3 file successfully');
+      ledger.setOutputs(INPUT_KEY, { sourceChecksums });
+    } catch (downloadError) {
+      console.error(`❌ Download error: ${downloadError.message}`);
+      ledger.fail(INPUT_KEY, downloadError);
+      return false;
+    }
+  } else {
+    console.log(`📁 Using existing local file: ${job.localPath}`);
+  }
+  return true;
+}
+
+async function uploadStage(ledger, job) {
+  const INPUT_KEY = job.item;
+  ledger.setStage(INPUT_KEY, 'uploading');
+
+  const errors = await deliverFile(
+    job.destinations,
+    job.localPath,
+    job.folderPath,
+    ledger,
+    INPUT_KEY,
+    {
+      checksums: ledger.get(INPUT_KEY).outputs?.sourceChecksums,
+      sourceKey: INPUT_KEY,
+    }
+  );
+  if (errors.length > 0) {
+    ledger.fail(INPUT_KEY, errors[0]);
+    // Keep the local file so the next run can resume the upload
+    job.keepLocal = canResumeSession(ledger.get(INPUT_KEY).driveUpload, job.localPath);
+    return false;
+  }
+
+  ledger.complete(INPUT_KEY);
+  return true;
+}
+
+async function finishJob(ledger, scratch, job, error) {
+  const INPUT_KEY = job.item;
+  // After a shutdown every key that did not get through is recorded as interrupted
+  if (job.signal?.aborted && !ledger.isDone(INPUT_KEY)) {
+    ledger.interrupt(INPUT_KEY);
+  } else if (error) {
+    console.error('❌ Error processing file:', INPUT_KEY, error);
+    ledger.fail(INPUT_KEY, error);
+  }
+  countFinishedJob(job.stage, ledger.get(INPUT_KEY));
+
+  // Clean up local file
+  try {
+    if (job.keepLocal) {
+      console.log(`📌 Keeping ${job.localPath} to resume its Google Drive upload`);
+    } else if (job.localPath && existsSync(job.localPath)) {
+      await unlink(job.localPath);
+      console.log(`✅ Deleted local file: ${job.localPath}`);
+    }
+  } catch (unlinkError) {
+    console.error('❌ Failed to delete local file:', unlinkError);
+  } finally {
+    scratch.release(job.reservation);
+  }
+}
+
+// `clients` overrides the S3 and Drive clients the run would create
+export async function runCopy(config, clients = {}) {
+  const { index: currentInstance, total: totalInstances } = config.shard;
+  if (!config.leases) console.log(`🔢 Running as instance ${currentInstance} of ${totalInstances}`);
+
+  const ledger = await openLedger(LEDGER_FILE);
+
+  const client = instrumentS3(clients.s3 || new S3Client({ region: config.region }));
+  const destinations = await openDestinations(config, clients);
+
+  // Leftovers of an earlier run are removed, except files whose Drive upload
+  // can still resume
+  const scratch = await openScratch(config, {
+    keep: (filePath) =>
+      ledger
+        .records()
+        .some(
+          (record) =>
+            record.driveUpload?.filePath === filePath &&
+            canResumeSession(record.driveUpload, filePath)
+        ),
+  });
+  const metricsServer =
+    config.metricsPort != null
+      ? await startMetricsServer(config.metricsPort, { labels: { command: 'copy' } })
+      : null;
+  const leases = config.leases ? openLeases(config.leases, { s3: client }) : null;
+  const shutdown = handleShutdown({ onForce: () => ledger.interruptInProgress() });
+
+  try {
+    // Read the key list (id_list.txt or an S3 prefix listing)
+    const allFiles = await loadInputKeys(client, config.bucket, config.inputEnv);
+
+    // Filter files based on instance parameters; with leases every instance
+    // goes through every key
+    const instanceFiles = leases
+      ? allFiles
+      : allFiles.filter((_, index) => index % totalInstances === currentInstance);
+
+    // Resume from the ledger: finished keys are skipped, failed ones are retried
+    const keyListToProcess = instanceFiles.filter((key) => !ledger.isDone(key));
+    // Claimed keys are only recorded once this instance starts on them
+    if (!leases) keyListToProcess.forEach((key) => ledger.queue(key));
+
+    // One listing per Drive folder instead of one query per key
+    const folderPaths = keyListToProcess.map((key) => formatFolderPath(key, config.folderTemplate));
+    for (const destination of destinations) await destination.prefetch(folderPaths);
+
+    console.log(`📋 Total files found: ${allFiles.length}`);
+    console.log(
+      `📋 This instance (${leases ? 'claiming' : currentInstance}) will process: ` +
+        `${leases ? 'up to ' : ''}${keyListToProcess.length} files` +
+        ` (${instanceFiles.length - keyListToProcess.length} already done)`
+    );
+
+    // Downloads of later files overlap with uploads of earlier ones
+    const stages = [
+      {
+        name: 'download',
+        concurrency: getPipelineConcurrency('download'),
+        run: (job) => downloadStage(config, client, destinations, ledger, scratch, job),
+      },
+      {
+        name: 'upload',
+        concurrency: getPipelineConcurrency('upload'),
+        run: (job) => uploadStage(ledger, job),
+        // Downloaded files are still delivered after a shutdown
+        drain: true,
+      },
+    ];
+    console.log(
+      `⚙️ Pipeline: ${stages.map((stage) => `${stage.concurrency} ${stage.name}`).join(', ')}`
+    );
+
+    const pipelineOptions = {
+      onFinish: (job, error) => finishJob(ledger, scratch, job, error),
+      signal: shutdown.signal,
+    };
+    if (leases) {
+      await runLeasedPipeline(keyListToProcess, stages, leases, {
+        ...pipelineOptions,
+        outcome: (key) => ledger.finalStage(key),
+      });
+    } else {
+      await runPipeline(keyListToProcess, stages, pipelineOptions);
+    }
+
+    if (shutdown.signal.aborted) {
+      console.log('🛑 Shut down early; interrupted keys are picked up by the next run');
+    } else {
+      console.log('✅ All processing completed for instance', currentInstance);
+    }
+    console.log('📊 Ledger summary:', ledger.summary());
+  } finally {
+    scratch.close();
+    shutdown.dispose();
+    await metricsServer?.close();
+  }
+}
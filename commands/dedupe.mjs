@@ -0,0 +1,578 @@
+import readline from 'readline';
+import { findDuplicates, planDuplicateGroups, writeDedupeReport } from '../lib/dedupe.mjs';
+import { createDriveIndex } from '../lib/drive-index.mjs';
+import { openDriveJournal, undoRun } from '../lib/drive-journal.mjs';
+import {
+  connectGoogleDrive,
+  getAllFilesInFolder,
+  getParentFolderName,
+} from '../lib/google-drive.mjs';
+
+// `dedupe`: finds duplicate files under the Drive folder and trashes, deletes
+// or renames all but one copy of each (see lib/dedupe.mjs for the options);
+// `dedupe --undo` reverses a journaled run.
+
+// Every trash, delete and rename is journaled here so it can be undone
+const DRIVE_JOURNAL_FILE = process.env.DRIVE_JOURNAL_FILE || 'drive-journal.jsonl';
+
+// `clients.drive` stands in for the real Drive client
+export async function runDedupe(config, options, clients = {}) {
+  const drive = clients.drive || (await connectGoogleDrive(config.driveFolderId));
+
+  // Scope the scan to one folder if asked to
+  let scanFolderId = options.folderId || config.driveFolderId;
+  if (options.folder) {
+    scanFolderId = await createDriveIndex(drive, config.driveFolderId).folderId(options.folder, {
+      create: false,
+    });
+    if (!scanFolderId) {
+      console.error(`❌ Drive folder not found: ${options.folder}`);
+      process.exitCode = 1;
+      return;
+    }
+  }
+
+  console.log('\n🔍 Starting Google Drive duplicate file scan...');
+  const scan = await scanGoogleDriveForDuplicates(drive, scanFolderId, options.groupBy);
+
+  if (scan) {
+    await handleDuplicates(drive, scan, options);
+    console.log('✅ Duplicate handling completed');
+  } else {
+    console.log('✅ No duplicates found, nothing to handle');
+    if (options.report) await writeDedupeReport(options.report, [], options);
+  }
+}
+
+// Reverses a journaled dedupe run (see lib/drive-journal.mjs)
+export async function runUndo(config, options, clients = {}) {
+  const drive = clients.drive || (await connectGoogleDrive(config.driveFolderId));
+
+  const journal = await openDriveJournal(DRIVE_JOURNAL_FILE);
+  const runs = journal.runs();
+
+  if (options.list || runs.length === 0) {
+    console.log(`📓 ${runs.length} journaled run(s) in ${DRIVE_JOURNAL_FILE}`);
+    for (const run of runs) {
+      console.log(`   - ${run.runId}: ${run.operations} operation(s), ${run.undone} undone`);
+    }
+    return;
+  }
+
+  const pending = runs.filter((run) => run.undone < run.undoable);
+  const runId = options.run || (pending.length > 0 ? pending[pending.length - 1].runId : null);
+  const run = runs.find((candidate) => candidate.runId === runId);
+  if (!run) {
+    console.error(`❌ No journaled run to undo${options.run ? `: ${options.run}` : ''}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log(`⏪ Undoing run ${run.runId} (${run.operations} operation(s))`);
+  if (!options.dryRun && !options.yes) {
+    const confirmed = await confirmAction(
+      `Trashed files from run ${run.runId} will be restored and its renames reverted.`
+    );
+    if (!confirmed) {
+      console.log('❌ Undo cancelled');
+      process.exitCode = 1;
+      return;
+    }
+  }
+
+  const outcomes = await undoRun(drive, journal, run.runId, { dryRun: options.dryRun });
+  const counts = {};
+  for (const { entry, result, error } of outcomes) {
+    counts[result] = (counts[result] || 0) + 1;
+    if (result === 'unrecoverable') {
+      console.log(
+        `⛔ Permanently deleted, cannot restore: ${entry.name} (${entry.fileId}, folder ${
+          (entry.parents || []).join(', ') || 'unknown'
+        })`
+      );
+    } else if (result === 'changed-since') {
+      console.log(`⚠️ Renamed again since the run, left alone: ${entry.fileId}`);
+    } else if (result === 'not-applied') {
+      console.log(`ℹ️ Never went through, nothing to undo: ${entry.action} of ${entry.fileId}`);
+    } else if (result === 'error') {
+      console.error(
+        `❌ Failed to undo ${entry.action} of ${entry.name} (${entry.fileId}): ${error}`
+      );
+    }
+  }
+  console.log(`${options.dryRun ? '🧪 Dry run' : '📊 Undo results'}:`, counts);
+  if (counts.error || counts.unrecoverable) process.exitCode = 1;
+}
+
+// Returns { duplicateMap, conflicts } (see findDuplicates), or null if the
+// scan found neither; a failed listing throws
+async function scanGoogleDriveForDuplicates(drive, folderId, mode) {
+  console.log(
+    `🔍 Scanning Google Drive for duplicates (${
+      mode === 'content' ? 'same content' : 'same name and content'
+    })...`
+  );
+
+  // Get all files in the folder and subfolders
+  const files = await getAllFilesInFolder(drive, folderId);
+  const instances = files.map((file) => ({
+    id: file.id,
+    name: file.name,
+    parentId: file.parents ? file.parents[0] : folderId,
+    createdTime: file.createdTime || null,
+    modifiedTime: file.modifiedTime || null,
+    size: file.size || null,
+    md5Checksum: file.md5Checksum || null,
+  }));
+  const { duplicateMap, conflicts } = findDuplicates(instances, mode);
+  const groupNames = Object.keys(duplicateMap);
+
+  if (groupNames.length === 0 && conflicts.length === 0) {
+    console.log('✅ No duplicate files found in Google Drive');
+    return null;
+  }
+
+  // Log each group with the folders its files live in
+  const folderNames = new Map();
+  const logInstances = async (list) => {
+    for (const instance of list) {
+      if (!folderNames.has(instance.parentId)) {
+        folderNames.set(instance.parentId, await getParentFolderName(drive, instance.parentId));
+      }
+      instance.parentName = folderNames.get(instance.parentId);
+      console.log(
+        `   - ID: ${instance.id} (Folder: ${instance.parentName}, md5: ${
+          instance.md5Checksum || 'n/a'
+        })`
+      );
+    }
+  };
+
+  console.log(`🔄 Found ${groupNames.length} groups of duplicate files in Google Drive`);
+  for (const name of groupNames) {
+    console.log(`\n📄 Duplicate: "${name}"`);
+    await logInstances(duplicateMap[name]);
+  }
+
+  if (conflicts.length > 0) {
+    console.log(`\n⚔️ Found ${conflicts.length} name conflicts (left alone)`);
+    for (const conflict of conflicts) {
+      console.log(`\n📄 Conflict: "${conflict.name}" (${conflict.reason})`);
+      await logInstances(conflict.files);
+    }
+  }
+
+  return { duplicateMap, conflicts };
+}
+
+// Asks before a destructive action. Without a terminal there is nobody to
+// ask, so the run has to say --yes up front.
+async function confirmAction(message) {
+  if (!process.stdin.isTTY) {
+    console.error(`❌ ${message} Refusing without --yes in a non-interactive run.`);
+    return false;
+  }
+
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+  console.log(`\n⚠️ WARNING: ${message}`);
+  console.log('   Do you want to continue? (y/n)');
+  const answer = await new Promise((resolve) => {
+    rl.question('> ', resolve);
+  });
+  rl.close();
+  return answer.toLowerCase() === 'y';
+}
+
+// Runs the dedupe workflow as described by `options` (see
+// toDedupeOptions) and returns the planned groups with each file's outcome
+async function handleDuplicates(drive, { duplicateMap, conflicts }, options) {
+  if (options.verify) {
+    console.log('🔄 Refreshing duplicate file map...');
+    duplicateMap = await refreshDuplicateMap(drive, duplicateMap);
+  }
+
+  const groups = planDuplicateGroups(duplicateMap, options);
+  const duplicates = groups.flatMap((group) => group.duplicates);
+  console.log(
+    `\n📊 Found ${groups.length} files with duplicates (${duplicates.length} total duplicates)`
+  );
+  console.log(`📋 Policy: keep ${options.keep}, ${options.action} the others`);
+
+  if (duplicates.length === 0 || options.action === 'none') {
+    duplicates.forEach((duplicate) => (duplicate.status = 'listed'));
+    console.log('📋 No action taken. List of duplicates generated.');
+  } else if (options.dryRun) {
+    duplicates.forEach((duplicate) => (duplicate.status = 'dry-run'));
+    console.log(`🧪 Dry run: ${duplicates.length} files would be handled with "${options.action}"`);
+  } else {
+    const descriptions = {
+      trash: 'moved to trash',
+      delete: 'permanently deleted',
+      rename: 'renamed to include their parent folder name',
+    };
+    const confirmed =
+      options.yes ||
+      (await confirmAction(
+        `${duplicates.length} duplicate files will be ${descriptions[options.action]}.`
+      ));
+
+    if (!confirmed) {
+      duplicates.forEach((duplicate) => (duplicate.status = 'cancelled'));
+      console.log('❌ Duplicate handling cancelled');
+      process.exitCode = 1;
+    } else if (options.action === 'rename') {
+      const journal = await openDriveJournal(DRIVE_JOURNAL_FILE);
+      await renameDuplicates(drive, duplicates, journal);
+      console.log(`📓 Journaled as run ${journal.runId} in ${DRIVE_JOURNAL_FILE}`);
+    } else {
+      const journal = await openDriveJournal(DRIVE_JOURNAL_FILE);
+      const fileIds = duplicates.map((duplicate) => duplicate.id);
+      const fileInfo = new Map(
+        duplicates.map((duplicate) => [
+          duplicate.id,
+          { name: duplicate.name, parents: [duplicate.parentId] },
+        ])
+      );
+      const results =
+        options.action === 'trash'
+          ? await batchTrashFiles(drive, fileIds, { journal, fileInfo })
+          : await batchDeleteFiles(drive, fileIds, { journal, fileInfo });
+      console.log(`📓 Journaled as run ${journal.runId} in ${DRIVE_JOURNAL_FILE}`);
+      const done = options.action === 'trash' ? 'trashed' : 'deleted';
+      const outcomes = new Map(results.outcomes.map((outcome) => [outcome.fileId, outcome]));
+      for (const duplicate of duplicates) {
+        const outcome = outcomes.get(duplicate.id);
+        duplicate.status = outcome.status === 'success' ? done : outcome.status;
+        if (outcome.error) duplicate.error = outcome.error;
+      }
+
+      console.log(`\n📊 Batch ${options.action === 'trash' ? 'Trash' : 'Delete'} Results:`);
+      console.log(`✅ Successfully ${done}: ${results.success} files`);
+      console.log(`⚠️ Files not found: ${results.notFound}`);
+      console.log(`⛔ Permission denied: ${results.permissionDenied}`);
+      console.log(`❌ Other errors: ${results.otherErrors}`);
+      if (options.action === 'trash') {
+        console.log(
+          `\n🔔 Note: Trashed files can be recovered from Google Drive trash for 30 days`
+        );
+      }
+    }
+
+    // Files that were already gone do not count as failures
+    const failed = duplicates.filter(
+      (duplicate) => !['trashed', 'deleted', 'renamed', 'notFound'].includes(duplicate.status)
+    );
+    if (failed.length > 0) {
+      process.exitCode = 1;
+    }
+  }
+
+  if (options.report) {
+    await writeDedupeReport(options.report, groups, options, conflicts);
+  }
+  return groups;
+}
+
+async function refreshDuplicateMap(drive, duplicateMap) {
+  console.log(
+    `🔍 Verifying existence of ${Object.keys(duplicateMap).length} file types with duplicates...`
+  );
+  const refreshedMap = {};
+  let removedCount = 0;
+  let processedFiles = 0;
+  let totalFiles = 0;
+
+  // Count total files to process
+  for (const fileName in duplicateMap) {
+    totalFiles += duplicateMap[fileName].length;
+  }
+
+  // Process files with a timeout for the entire operation
+  const startTime = Date.now();
+  const timeout = 5 * 60 * 1000; // 5 minutes timeout
+
+  try {
+    for (const fileName in duplicateMap) {
+      // Check if overall operation is taking too long
+      if (Date.now() - startTime > timeout) {
+        console.warn(
+          `⚠️ Refresh operation taking too long (${Math.round(
+            (Date.now() - startTime) / 1000
+          )}s), returning partial results`
+        );
+        break;
+      }
+
+      refreshedMap[fileName] = [];
+
+      // Process each instance for this filename
+      for (const instance of duplicateMap[fileName]) {
+        processedFiles++;
+
+        // Show progress every 10 files
+        if (processedFiles % 10 === 0 || processedFiles === totalFiles) {
+          const percent = Math.round((processedFiles / totalFiles) * 100);
+          console.log(`🔄 Refreshing file map: ${percent}% (${processedFiles}/${totalFiles})`);
+        }
+
+        try {
+          // Use a promise with timeout to prevent hanging on a single request
+          const fileExists = await Promise.race([
+            drive.files
+              .get({
+                fileId: instance.id,
+                fields: 'id',
+                supportsAllDrives: true,
+              })
+              .then(() => true)
+              .catch((e) => {
+                if (e.message.includes('File not found')) return false;
+                throw e;
+              }),
+            new Promise((resolve) =>
+              setTimeout(() => {
+                console.warn(`⚠️ Timeout checking file ${instance.id}, assuming it exists`);
+                resolve(true);
+              }, 10000)
+            ), // 10 second timeout per file check
+          ]);
+
+          if (fileExists) {
+            refreshedMap[fileName].push(instance);
+          } else {
+            removedCount++;
+          }
+        } catch (error) {
+          console.error(`⚠️ Error checking file ${fileName} (${instance.id}):`, error.message);
+          // Include file in refreshed map even if we can't verify it
+          refreshedMap[fileName].push(instance);
+        }
+
+        // Add a small delay between API calls to avoid rate limiting
+        await new Promise((resolve) => setTimeout(resolve, 50));
+      }
+
+      // If no instances remain, remove the entry entirely
+      if (refreshedMap[fileName].length === 0) {
+        delete refreshedMap[fileName];
+      }
+    }
+
+    const totalDuplicatesRemaining = Object.values(refreshedMap).reduce(
+      (acc, instances) => acc + instances.length,
+      0
+    );
+
+    console.log(`✅ Refresh complete: ${removedCount} stale files removed`);
+    console.log(
+      `📊 Remaining duplicates: ${totalDuplicatesRemaining} files across ${
+        Object.keys(refreshedMap).length
+      } filenames`
+    );
+
+    return refreshedMap;
+  } catch (error) {
+    console.error('❌ Error refreshing duplicate map:', error);
+    console.log('⚠️ Returning original duplicate map due to refresh error');
+    return duplicateMap; // Return original map on error
+  }
+}
+
+function journalFile(duplicate) {
+  return { id: duplicate.id, name: duplicate.name, parents: [duplicate.parentId] };
+}
+
+// Renames each duplicate to include its parent folder name
+async function renameDuplicates(drive, duplicates, journal = null) {
+  let renamedCount = 0;
+
+  for (const duplicate of duplicates) {
+    let intent = null;
+    try {
+      const parentFolder =
+        duplicate.parentName || (await getParentFolderName(drive, duplicate.parentId));
+      const newName = `${duplicate.name} (${parentFolder})`;
+
+      intent = journal?.intend('rename', journalFile(duplicate), { newName });
+      await drive.files.update({
+        fileId: duplicate.id,
+        resource: { name: newName },
+        supportsAllDrives: true,
+      });
+
+      console.log(`✏️ Renamed duplicate: ${duplicate.name} → ${newName}`);
+      duplicate.status = 'renamed';
+      duplicate.newName = newName;
+      renamedCount++;
+      if (intent) journal.settle(intent, { status: 'success' });
+    } catch (error) {
+      console.error(`❌ Error renaming file ${duplicate.name}:`, error.message);
+      duplicate.status = 'error';
+      duplicate.error = error.message;
+      if (intent) journal.settle(intent, { status: 'error', error: error.message });
+    }
+  }
+
+  console.log(`✅ Renamed ${renamedCount} duplicate files`);
+}
+
+function outcomeOf(fileId, error) {
+  if (error.message.includes('File not found')) {
+    return { status: 'notFound', fileId };
+  } else if (error.message.includes('permission')) {
+    return { status: 'permissionDenied', fileId };
+  }
+  return { status: 'error', fileId, error: error.message };
+}
+
+// Journals `action` on `file` as pending before `send()` makes the request,
+// then its outcome as soon as that settles
+async function journaledRequest(journal, action, file, send) {
+  const intent = journal?.intend(action, file);
+  const result = await send();
+  if (intent) journal.settle(intent, { status: result.status, error: result.error });
+  return result;
+}
+
+// `journal`/`fileInfo` (fileId -> { name, parents }) record every operation
+// so it can be undone later. Returns per-status counts that add up to the
+// number of files, plus one outcome per file.
+export async function batchTrashFiles(
+  drive,
+  fileIds,
+  { journal = null, fileInfo = new Map() } = {}
+) {
+  if (fileIds.length === 0) {
+    return { success: 0, notFound: 0, permissionDenied: 0, otherErrors: 0, outcomes: [] };
+  }
+
+  const results = {
+    success: 0,
+    notFound: 0,
+    permissionDenied: 0,
+    otherErrors: 0,
+    // One { fileId, status, error } per file, for the duplicate report
+    outcomes: [],
+  };
+
+  // Process in batches of 10 to avoid rate limits
+  const batchSize = 10;
+  for (let i = 0; i < fileIds.length; i += batchSize) {
+    const batch = fileIds.slice(i, i + batchSize);
+
+    // Show progress
+    console.log(
+      `🗑️ Trashing batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(
+        fileIds.length / batchSize
+      )} (${i + 1}-${Math.min(i + batchSize, fileIds.length)}/${fileIds.length})`
+    );
+
+    const promises = batch.map((fileId) =>
+      journaledRequest(journal, 'trash', { id: fileId, ...fileInfo.get(fileId) }, () =>
+        drive.files
+          .update({
+            fileId,
+            resource: { trashed: true },
+            supportsAllDrives: true,
+          })
+          .then(() => ({ status: 'success', fileId }))
+          .catch((error) => outcomeOf(fileId, error))
+      )
+    );
+
+    const batchResults = await Promise.all(promises);
+    results.outcomes.push(...batchResults);
+
+    for (const result of batchResults) {
+      switch (result.status) {
+        case 'success':
+          results.success++;
+          console.log(`✅ Trashed file ID: ${result.fileId}`);
+          break;
+        case 'notFound':
+          results.notFound++;
+          console.log(`⚠️ File not found: ${result.fileId}`);
+          break;
+        case 'permissionDenied':
+          results.permissionDenied++;
+          console.error(`⚠️ Permission denied for file ${result.fileId}`);
+          break;
+        default:
+          results.otherErrors++;
+          console.error(`❌ Error trashing file ${result.fileId}: ${result.error}`);
+      }
+    }
+
+    // Small delay between batches to avoid rate limits
+    if (i + batchSize < fileIds.length) {
+      await new Promise((resolve) => setTimeout(resolve, 1000));
+    }
+  }
+
+  return results;
+}
+
+export async function batchDeleteFiles(
+  drive,
+  fileIds,
+  { journal = null, fileInfo = new Map() } = {}
+) {
+  if (fileIds.length === 0) {
+    return { success: 0, notFound: 0, permissionDenied: 0, otherErrors: 0, outcomes: [] };
+  }
+
+  const results = {
+    success: 0,
+    notFound: 0,
+    permissionDenied: 0,
+    otherErrors: 0,
+    outcomes: [],
+  };
+
+  // Process in batches of 10 to avoid rate limits
+  const batchSize = 10;
+  for (let i = 0; i < fileIds.length; i += batchSize) {
+    const batch = fileIds.slice(i, i + batchSize);
+    const promises = batch.map((fileId) =>
+      journaledRequest(journal, 'delete', { id: fileId, ...fileInfo.get(fileId) }, () =>
+        drive.files
+          .delete({
+            fileId,
+            supportsAllDrives: true,
+          })
+          .then(() => ({ status: 'success', fileId }))
+          .catch((error) => outcomeOf(fileId, error))
+      )
+    );
+
+    const batchResults = await Promise.all(promises);
+    results.outcomes.push(...batchResults);
+
+    for (const result of batchResults) {
+      switch (result.status) {
+        case 'success':
+          results.success++;
+          break;
+        case 'notFound':
+          results.notFound++;
+          break;
+        case 'permissionDenied':
+          results.permissionDenied++;
+          break;
+        default:
+          results.otherErrors++;
+          console.error(`Error with file ${result.fileId}: ${result.error}`);
+      }
+    }
+
+    // Small delay between batches to avoid rate limits
+    if (i + batchSize < fileIds.length) {
+      await new Promise((resolve) => setTimeout(resolve, 1000));
+    }
+  }
+
+  return results;
+}
@@ -0,0 +1,794 @@
+import {
+  DeleteObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  S3Client,
+} from '@aws-sdk/client-s3';
+import { exec, spawn } from 'child_process';
+import { existsSync } from 'fs';
+import { mkdir, rename, unlink } from 'fs/promises';
+import * as path from 'path';
+import { PassThrough } from 'stream';
+import {
+  createHasher,
+  getS3Checksums,
+  hashFile,
+  VERIFY_CHECKSUMS,
+  verifyS3Download,
+} from '../lib/checksums.mjs';
+import { deliverFile, missingFrom, openDestinations } from '../lib/destinations.mjs';
+import { canResumeSession } from '../lib/drive-upload.mjs';
+import { loadEncodingProfiles, selectProfile } from '../lib/encoding-profiles.mjs';
+import { probeMedia } from '../lib/ffprobe.mjs';
+import { loadInputKeys } from '../lib/input-keys.mjs';
+import { openLedger } from '../lib/job-ledger.mjs';
+import {
+  countFinishedJob,
+  incrementMetric,
+  instrumentS3,
+  startMetricsServer,
+  trackActivity,
+} from '../lib/metrics.mjs';
+import { getPipelineConcurrency, runPipeline } from '../lib/pipeline.mjs';
+import { withRetry } from '../lib/retry.mjs';
+import {
+  checkFileExistsInS3,
+  downloadFromS3,
+  isTruncatedDownload,
+  S3_PART_SIZE,
+  uploadStreamToS3,
+  uploadToS3,
+} from '../lib/s3-transfer.mjs';
+import { openScratch } from '../lib/scratch.mjs';
+import { handleShutdown } from '../lib/shutdown.mjs';
+import { probeForStreaming } from '../lib/stream-transcode.mjs';
+import { planTranscode } from '../lib/transcode-plan.mjs';
+import { fileSource, s3Source } from '../lib/upload-source.mjs';
+import { formatFolderPath } from '../lib/vdr-key.mjs';
+import { verifyOutput, verifyStreamedOutput } from '../lib/verify-output.mjs';
+import { openLeases, runLeasedPipeline } from '../lib/work-leases.mjs';
+
+// `transcode`: transcodes each input key to `<name>_converted.mp4`, uploads it
+// next to the source in S3 and delivers it to the run's destinations (see
+// lib/destinations.mjs). With `config.streaming` inputs that allow it go from
+// S3 through ffmpeg back to S3 without local files (see lib/stream-transcode.mjs).
+
+const LEDGER_FILE = process.env.LEDGER_FILE || 'transcode-ledger.jsonl';
+// Outputs that fail verification are moved here instead of being uploaded
+const QUARANTINE_DIR = process.env.QUARANTINE_DIR || 'quarantine';
+const RETRY_QUARANTINED = process.env.RETRY_QUARANTINED === 'true';
+// Expected output size as a fraction of the source, for disk reservations
+const ESTIMATED_OUTPUT_RATIO = parseFloat(process.env.ESTIMATED_OUTPUT_RATIO || '1');
+
+// Quote an argument for the shell when running through exec
+function shellQuote(arg) {
+  return /^[\w@%+=:,./-]+$/.test(arg) ? arg : `"${arg.replace(/(["\\$`])/g, '\\$1')}"`;
+}
+
+// Prints ffmpeg's progress from a chunk of its stderr; returns the seconds
+// of output written so far, or null if the chunk has no progress line.
+// `duration` (seconds, from ffprobe) turns it into a percentage.
+function showProgress(data, duration) {
+  const output = data.toString();
+  const timeMatch = output.match(/time=(\d{2}):(\d{2}):(\d{2}.\d{2})/);
+  if (!timeMatch) return null;
+  const [hours, minutes, seconds] = timeMatch.slice(1).map(Number);
+  const currentTime = hours * 3600 + minutes * 60 + seconds;
+  const percent = duration ? ` (${Math.min(100, (currentTime / duration) * 100).toFixed(1)}%)` : '';
+  process.stdout.write(`\r⏱️ Transcoding Progress: ${formatTime(currentTime)}${percent}`);
+  return currentTime;
+}
+
+// Run FFmpeg with progress monitoring; `plan` comes from planTranscode.
+// Aborting `signal` kills it. `key` names it in /healthz.
+function runFFmpegWithProgress(plan, duration, executeMethod = 'exec', signal, key) {
+  const activity = trackActivity('ffmpeg', key);
+  return new Promise((resolve, reject) => {
+    const ffmpegCommand = ['ffmpeg', ...plan.args].map(shellQuote).join(' ');
+
+    console.log(`🔄 Using encoder: ${plan.encoder} (${plan.mode})`);
+    console.log(`🎬 FFmpeg command: ${ffmpegCommand}`);
+    console.log(`📂 Execute Method: ${executeMethod}`);
+
+    const handleProgress = (data) => {
+      const written = showProgress(data, duration);
+      if (written !== null) activity.touch(written);
+    };
+
+    if (executeMethod === 'spawn') {
+      const ffmpegProcess = spawn('ffmpeg', plan.args, { signal });
+      ffmpegProcess.stderr.on('data', handleProgress);
+
+      ffmpegProcess.on('close', (code) => {
+        process.stdout.write('\n'); // New line after progress
+        if (code === 0) {
+          resolve();
+        } else {
+          reject(ffmpegError(`FFmpeg process exited with code ${code}`, code));
+        }
+      });
+
+      ffmpegProcess.on('error', reject);
+    } else {
+      // `exec` makes the shell replace itself with ffmpeg, so aborting kills
+      // ffmpeg rather than leaving it orphaned behind a killed shell
+      const ffmpegProcess = exec(`exec ${ffmpegCommand}`, { signal }, (error, stdout, stderr) => {
+        process.stdout.write('\n'); // New line after progress
+        if (error) {
+          console.error(`❌ FFmpeg error: ${error.message}`);
+          reject(ffmpegError(error.message, error.code));
+          return;
+        }
+        resolve();
+      });
+
+      ffmpegProcess.stderr.on('data', handleProgress);
+    }
+  }).finally(() => activity.end());
+}
+
+// ffmpeg failures are permanent (invalid input data) unless the caller finds
+// the input was a truncated download, in which case it flips `retryable`
+function ffmpegError(message, exitCode) {
+  const error = new Error(message);
+  error.name = 'FFmpegError';
+  error.exitCode = exitCode;
+  error.retryable = false;
+  return error;
+}
+
+// Format time in seconds to HH:MM:SS
+function formatTime(seconds) {
+  const hrs = Math.floor(seconds / 3600);
+  const mins = Math.floor((seconds % 3600) / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${hrs.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}:${secs
+    .toString()
+    .padStart(2, '0')}`;
+}
+
+// Download stage: skip checks against S3 and the destinations, reserve
+// scratch space for the source and its output, then fetch the source. A
+// streamed job (see lib/stream-transcode.mjs) is only probed here.
+async function downloadStage(config, client, destinations, ledger, scratch, job) {
+  const INPUT_KEY = job.item;
+  console.log(`\n🔄 Processing file ${job.index + 1}/${job.total}: ${INPUT_KEY}`);
+  ledger.start(INPUT_KEY);
+
+  const keyPath = INPUT_KEY.slice(0, INPUT_KEY.lastIndexOf('.'));
+  job.convertedKey = `${keyPath}_converted.mp4`;
+  // Local copies live in the instance's scratch directory
+  job.inputPath = scratch.pathFor(INPUT_KEY);
+  job.outputPath = scratch.pathFor(job.convertedKey);
+  const fileName = path.basename(job.convertedKey);
+  console.log(`🚀 Output file: ${job.convertedKey}`);
+
+  // Expand the folder template (org/site/camera/date...) for this key
+  job.folderPath = formatFolderPath(INPUT_KEY, config.folderTemplate);
+  console.log(`📂 Destination folder: ${job.folderPath}`);
+
+  // A previous run already uploaded to S3 and was interrupted mid-way through
+  // the Drive upload; its verified output is still on disk
+  const record = ledger.get(INPUT_KEY);
+  const hasDrive = destinations.some((destination) => destination.name === 'drive');
+  if (hasDrive && record.outputs?.s3Key && canResumeSession(record.driveUpload, job.outputPath)) {
+    console.log(`⏯️ Resuming interrupted Google Drive upload for ${job.convertedKey}`);
+    job.resumeDriveUpload = true;
+    job.cleanupInput = true;
+    job.outputChecksums = record.outputs.outputChecksums;
+    job.destinations = await missingFrom(destinations, job.folderPath, fileName);
+    return true;
+  }
+
+  // Only the destinations that do not have the output yet get it
+  job.destinations = await missingFrom(destinations, job.folderPath, fileName);
+
+  // An output already in S3 is not transcoded again, but destinations that
+  // missed it (e.g. a Drive upload that failed) still get a copy from S3
+  const convertedExists = await checkFileExistsInS3(client, config.bucket, job.convertedKey);
+  if (convertedExists && job.destinations.length === 0) {
+    console.log(`⏭️ Skip: ${job.convertedKey} already exists in S3`);
+    ledger.complete(INPUT_KEY, { skipped: 'exists in S3', outputs: { s3Key: job.convertedKey } });
+    return false;
+  }
+  if (convertedExists) return fetchOutputForDelivery(config, client, ledger, scratch, job);
+
+  if (destinations.length > 0 && job.destinations.length === 0) {
+    console.log(`⏭️ Skip: ${fileName} already exists in every destination`);
+    job.cleanupInput = true;
+    ledger.complete(INPUT_KEY, { skipped: 'exists in every destination' });
+    return false;
+  }
+
+  // Download the file if needed
+  if (!existsSync(job.inputPath)) {
+    const { ContentLength } = await client.send(
+      new HeadObjectCommand({ Bucket: config.bucket, Key: INPUT_KEY })
+    );
+
+    // The source plus its estimated output; a streamed job writes nothing
+    let reserveBytes = ContentLength * (1 + ESTIMATED_OUTPUT_RATIO);
+    if (config.streaming) {
+      const { probe, reason } = await probeForStreaming(
+        client,
+        config.bucket,
+        INPUT_KEY,
+        ContentLength
+      );
+      if (probe) {
+        console.log(`🌊 Streaming from S3: ${INPUT_KEY}`);
+        job.streamProbe = probe;
+        reserveBytes = 0;
+      } else {
+        console.log(`💾 Not streaming ${INPUT_KEY}: ${reason}`);
+      }
+    }
+
+    try {
+      if (reserveBytes > 0) {
+        job.reservation = await scratch.reserve(reserveBytes, INPUT_KEY, { signal: job.signal });
+      }
+    } catch (spaceError) {
+      console.error(`❌ ${spaceError.message}`);
+      ledger.fail(INPUT_KEY, spaceError);
+      return false;
+    }
+    if (job.streamProbe) return true;
+
+    console.log(`⬇️ Downloading: ${INPUT_KEY} from S3`);
+    ledger.setStage(INPUT_KEY, 'downloading');
+    try {
+      const sourceChecksums = await downloadFromS3(
+        client,
+        config.bucket,
+        INPUT_KEY,
+        job.inputPath,
+        {
+          signal: job.signal,
+        }
+      );
+      console.log('✅ Downloaded S3 file successfully');
+      ledger.setOutputs(INPUT_KEY, { sourceChecksums });
+      job.cleanupInput = true;
+    } catch (downloadError) {
+      console.error(`❌ Download error: ${downloadError.message}`);
+      ledger.fail(INPUT_KEY, downloadError);
+      return false;
+    }
+  } else {
+    console.log(`📁 Using existing local file: ${job.inputPath}`);
+  }
+  return true;
+}
+
+// For an output that is in S3 but missing from some destinations: fetches it
+// into scratch so the upload stage delivers it without transcoding again.
+// When streaming, the destinations read it from S3 instead, which also
+// resumes a Drive upload a streamed run left unfinished.
+async function fetchOutputForDelivery(config, client, ledger, scratch, job) {
+  const INPUT_KEY = job.item;
+  console.log(
+    `📦 ${job.convertedKey} already exists in S3, delivering it to: ${job.destinations
+      .map((destination) => destination.label)
+      .join(', ')}`
+  );
+  ledger.setOutputs(INPUT_KEY, { s3Key: job.convertedKey });
+  job.outputInS3 = true;
+  if (config.streaming) return openOutputSource(config, client, ledger, job);
+  try {
+    const { ContentLength } = await client.send(
+      new HeadObjectCommand({ Bucket: config.bucket, Key: job.convertedKey })
+    );
+    job.reservation = await scratch.reserve(ContentLength, job.convertedKey, {
+      signal: job.signal,
+    });
+    ledger.setStage(INPUT_KEY, 'downloading');
+    job.outputChecksums = await downloadFromS3(
+      client,
+      config.bucket,
+      job.convertedKey,
+      job.outputPath,
+      { signal: job.signal }
+    );
+  } catch (downloadError) {
+    console.error(`❌ Download error: ${downloadError.message}`);
+    ledger.fail(INPUT_KEY, downloadError);
+    return false;
+  }
+  ledger.setOutputs(INPUT_KEY, { outputChecksums: job.outputChecksums });
+  return true;
+}
+
+// Logs the probe and records it with the plan in the ledger
+function recordPlan(ledger, key, probe, plan, profile, fields = {}) {
+  console.log(
+    `🔍 Input: ${probe.container}, ${probe.video.codec} ${probe.video.width}x${
+      probe.video.height
+    }, ${formatTime(probe.duration || 0)}, ${probe.audio.length} audio stream(s)`
+  );
+  ledger.setStage(key, 'transcoding', {
+    probe: {
+      container: probe.container,
+      videoCodec: probe.video.codec,
+      width: probe.video.width,
+      height: probe.video.height,
+      fps: probe.video.fps,
+      duration: probe.duration,
+      bitrate: probe.bitrate,
+    },
+    transcodeMode: plan.mode,
+    encodingProfile: profile ? profile.name : null,
+    ...fields,
+  });
+}
+
+async function transcodeStage(config, client, ledger, encodingProfiles, job) {
+  const INPUT_KEY = job.item;
+  if (job.resumeDriveUpload || job.outputInS3) return true;
+  if (job.streamProbe) return streamTranscodeStage(config, client, ledger, encodingProfiles, job);
+
+  // Transcode the video with progress monitoring
+  console.log(`🎬 Starting transcoding: ${INPUT_KEY}`);
+  ledger.setStage(INPUT_KEY, 'transcoding');
+  let probe;
+  let plan;
+  try {
+    ({ probe, plan } = await withRetry(
+      'transcode',
+      async (attempt) => {
+        if (attempt > 1) {
+          console.log(`⬇️ Re-downloading truncated input: ${INPUT_KEY}`);
+          ledger.setStage(INPUT_KEY, 'downloading');
+          const sourceChecksums = await downloadFromS3(
+            client,
+            config.bucket,
+            INPUT_KEY,
+            job.inputPath,
+            { signal: job.signal }
+          );
+          ledger.setOutputs(INPUT_KEY, { sourceChecksums });
+          ledger.setStage(INPUT_KEY, 'transcoding');
+        }
+        try {
+          // Probe the input so decoder, stream mapping and remux-vs-encode
+          // follow what is actually in the file
+          const probe = await probeMedia(job.inputPath);
+          const profile = selectProfile(encodingProfiles, INPUT_KEY, config.encodingProfile);
+          const plan = planTranscode(probe, job.inputPath, job.outputPath, {
+            useCPU: config.useCPU,
+            profile,
+          });
+          recordPlan(ledger, INPUT_KEY, probe, plan, profile);
+          await runFFmpegWithProgress(
+            plan,
+            probe.duration,
+            config.executeMethod,
+            job.signal,
+            INPUT_KEY
+          );
+          // ffmpeg may finish cleanly on the terminal's SIGINT; its output is cut short
+          job.signal?.throwIfAborted();
+          return { probe, plan };
+        } catch (ffmpegError) {
+          if (
+            !job.signal?.aborted &&
+            (await isTruncatedDownload(client, config.bucket, INPUT_KEY, job.inputPath))
+          ) {
+            ffmpegError.message = `${ffmpegError.message} (input is a truncated download)`;
+            ffmpegError.retryable = true;
+            await unlink(job.inputPath);
+          }
+          throw ffmpegError;
+        }
+      },
+      { signal: job.signal }
+    ));
+  } catch (transcodeError) {
+    console.error(`❌ Transcode error: ${transcodeError}`);
+    ledger.fail(INPUT_KEY, transcodeError);
+    return false;
+  }
+
+  // Check the output before it is uploaded or the input is deleted
+  console.log(`🔎 Verifying output: ${job.convertedKey}`);
+  const verification = await verifyOutput(probe, job.outputPath, plan.streams);
+  if (!verification.ok) {
+    console.error(`❌ Output verification failed: ${verification.problems.join('; ')}`);
+    await quarantineFiles(ledger, job, verification.problems);
+    return false;
+  }
+  console.log(`✅ Output verified (${formatTime(verification.outputProbe.duration || 0)})`);
+
+  // Hash the output once; the S3 and Drive uploads are both checked against it
+  job.outputChecksums = await hashFile(job.outputPath, { partSize: S3_PART_SIZE });
+  ledger.setOutputs(INPUT_KEY, { outputChecksums: job.outputChecksums });
+  console.log(`#️⃣ Output md5 ${job.outputChecksums.md5}`);
+
+  // The input is no longer needed once the output exists
+  job.cleanupInput = true;
+  return true;
+}
+
+// Pipes the S3 object through ffmpeg into the output object. The source is
+// hashed on the way in and checked against S3 before the upload is allowed to
+// finish, so a bad read never leaves an output behind. Always spawns ffmpeg,
+// whatever the execute method. Returns { sourceChecksums, outputChecksums,
+// duration } where `duration` is what ffmpeg reported writing. Aborting
+// `signal` stops the read and ffmpeg, and abandons the upload.
+async function streamTranscode(client, bucket, key, outputKey, plan, duration, signal) {
+  const expected = VERIFY_CHECKSUMS ? await getS3Checksums(client, bucket, key) : {};
+  const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }), {
+    abortSignal: signal,
+  });
+
+  console.log(`🔄 Using encoder: ${plan.encoder} (${plan.mode}, streaming)`);
+  console.log(`🎬 FFmpeg command: ${['ffmpeg', ...plan.args].map(shellQuote).join(' ')}`);
+  const ffmpegProcess = spawn('ffmpeg', plan.args, { signal });
+
+  const sourceHasher = createHasher({ partSize: expected.partSize });
+  const reading = trackActivity('download', key);
+  const transcoding = trackActivity('ffmpeg', key);
+  let streamError = null;
+  Body.on('data', (chunk) => {
+    sourceHasher.update(chunk);
+    reading.touch();
+    incrementMetric('downloaded_bytes_total', {}, chunk.length);
+  });
+  Body.on('end', () => reading.end());
+  Body.on('error', (error) => {
+    // ffmpeg would wait for the rest of its input forever
+    streamError = error;
+    ffmpegProcess.kill('SIGKILL');
+  });
+  // ffmpeg stops reading early on invalid data; its exit code says why
+  ffmpegProcess.stdin.on('error', () => {});
+  Body.pipe(ffmpegProcess.stdin);
+
+  // The upload only ends once ffmpeg and the source check have succeeded
+  const output = new PassThrough();
+  ffmpegProcess.stdout.pipe(output, { end: false });
+  const upload = uploadStreamToS3(client, bucket, output, outputKey, { sourceKey: key });
+  upload.catch(() => {}); // Awaited below unless the transcode fails first
+
+  let written = 0;
+  let stderrTail = '';
+  ffmpegProcess.stderr.on('data', (data) => {
+    written = showProgress(data, duration) ?? written;
+    transcoding.touch(written);
+    stderrTail = `${stderrTail}${data}`.slice(-1000);
+  });
+  const code = await new Promise((resolve) => {
+    // Failing to start, or being killed through `signal`
+    ffmpegProcess.on('error', (error) => {
+      streamError = streamError || error;
+      resolve(null);
+    });
+    ffmpegProcess.on('close', resolve);
+  });
+  process.stdout.write('\n'); // New line after progress
+  reading.end();
+  transcoding.end();
+
+  let sourceChecksums;
+  try {
+    // Checked first: ffmpeg may have finished cleanly on the terminal's SIGINT
+    signal?.throwIfAborted();
+    if (streamError) throw streamError;
+    if (code !== 0) {
+      const lastLine = stderrTail.trim().split('\n').pop();
+      throw ffmpegError(`FFmpeg process exited with code ${code}: ${lastLine}`, code);
+    }
+    sourceChecksums = verifyS3Download(sourceHasher.digest(), expected, key);
+  } catch (error) {
+    Body.destroy();
+    output.destroy(error);
+    throw error;
+  }
+  output.end();
+  const outputChecksums = await upload;
+  return { sourceChecksums, outputChecksums, duration: written };
+}
+
+// Streaming counterpart of transcodeStage: the output goes straight to S3,
+// so the upload stage only delivers it to the destinations, which read it
+// back from S3 rather than from a copy in scratch
+async function streamTranscodeStage(config, client, ledger, encodingProfiles, job) {
+  const INPUT_KEY = job.item;
+  const probe = job.streamProbe;
+  console.log(`🎬 Starting streaming transcode: ${INPUT_KEY}`);
+
+  let result;
+  try {
+    const profile = selectProfile(encodingProfiles, INPUT_KEY, config.encodingProfile);
+    const plan = planTranscode(probe, 'pipe:0', 'pipe:1', {
+      useCPU: config.useCPU,
+      profile,
+      fragmented: true,
+    });
+    recordPlan(ledger, INPUT_KEY, probe, plan, profile, { streamed: true });
+    result = await withRetry(
+      'transcode',
+      () =>
+        streamTranscode(
+          client,
+          config.bucket,
+          INPUT_KEY,
+          job.convertedKey,
+          plan,
+          probe.duration,
+          job.signal
+        ),
+      { signal: job.signal }
+    );
+  } catch (transcodeError) {
+    console.error(`❌ Transcode error: ${transcodeError}`);
+    ledger.fail(INPUT_KEY, transcodeError);
+    return false;
+  }
+  const { sourceChecksums, outputChecksums } = result;
+  ledger.setOutputs(INPUT_KEY, { sourceChecksums, outputChecksums });
+  job.outputChecksums = outputChecksums;
+
+  const verification = verifyStreamedOutput(probe, {
+    size: outputChecksums.size,
+    duration: result.duration,
+  });
+  if (!verification.ok) {
+    console.error(`❌ Output verification failed: ${verification.problems.join('; ')}`);
+    // The skip check would take it for a finished output
+    await withRetry('s3-upload', () =>
+      client.send(new DeleteObjectCommand({ Bucket: config.bucket, Key: job.convertedKey }))
+    );
+    console.log(`🗑️ Deleted unverified output: s3://${config.bucket}/${job.convertedKey}`);
+    await quarantineFiles(ledger, job, verification.problems);
+    return false;
+  }
+  console.log(`✅ Output verified (${formatTime(result.duration)}), md5 ${outputChecksums.md5}`);
+  ledger.setOutputs(INPUT_KEY, { s3Key: job.convertedKey });
+  job.streamed = true;
+
+  return job.destinations.length > 0 ? openOutputSource(config, client, ledger, job) : true;
+}
+
+// Lets the destinations read the output from S3 rather than from scratch
+async function openOutputSource(config, client, ledger, job) {
+  try {
+    job.outputSource = await withRetry('download', () =>
+      s3Source(client, config.bucket, job.convertedKey)
+    );
+    return true;
+  } catch (headError) {
+    console.error(`❌ S3 error: ${headError.message}`);
+    ledger.fail(job.item, headError);
+    return false;
+  }
+}
+
+// Moves a failed output and its input under QUARANTINE_DIR (keeping the key
+// path) so they can be inspected, and records the reasons in the ledger
+async function quarantineFiles(ledger, job, problems) {
+  const INPUT_KEY = job.item;
+  const quarantined = [];
+  const files = [
+    [job.outputPath, job.convertedKey],
+    [job.inputPath, INPUT_KEY],
+  ];
+  for (const [filePath, key] of files) {
+    if (!existsSync(filePath)) continue;
+    const target = path.join(QUARANTINE_DIR, key);
+    try {
+      await mkdir(path.dirname(target), { recursive: true });
+      await rename(filePath, target);
+      quarantined.push(target);
+    } catch (moveError) {
+      console.error(`❌ Failed to quarantine ${filePath}:`, moveError.message);
+    }
+  }
+  console.log(`🚧 Quarantined: ${quarantined.join(', ')}`);
+  ledger.setStage(INPUT_KEY, 'quarantined', {
+    quarantine: { problems, files: quarantined },
+    finishedAt: new Date().toISOString(),
+  });
+}
+
+async function uploadStage(config, client, ledger, job) {
+  const INPUT_KEY = job.item;
+  const { convertedKey } = job;
+  ledger.setStage(INPUT_KEY, 'uploading');
+
+  // Upload to S3 next to the source object; this is the system of record,
+  // and it is what the skip check in downloadStage looks for
+  if (!job.resumeDriveUpload && !job.streamed && !job.outputInS3) {
+    console.log(`⬆️ Uploading to S3: ${convertedKey}`);
+    try {
+      await uploadToS3(client, config.bucket, fileSource(job.outputPath), convertedKey, {
+        sourceKey: INPUT_KEY,
+        checksums: job.outputChecksums,
+      });
+      console.log(`✅ Uploaded to S3: s3://${config.bucket}/${convertedKey}`);
+      ledger.setOutputs(INPUT_KEY, { s3Key: convertedKey });
+    } catch (s3UploadError) {
+      console.error(`❌ S3 upload error: ${s3UploadError.message}`);
+      ledger.fail(INPUT_KEY, s3UploadError);
+      return false;
+    }
+  }
+
+  // Deliver to the destinations that did not have it yet
+  const errors = await deliverFile(
+    job.destinations,
+    job.outputSource || job.outputPath,
+    job.folderPath,
+    ledger,
+    INPUT_KEY,
+    {
+      mimeType: 'video/mp4',
+      checksums: job.outputChecksums,
+      sourceKey: INPUT_KEY,
+    }
+  );
+  if (errors.length > 0) {
+    ledger.fail(INPUT_KEY, errors[0]);
+    // Keep the output so the next run can resume the upload session
+    if (ledger.get(INPUT_KEY).driveUpload) job.keepOutput = true;
+    return false;
+  }
+
+  ledger.complete(INPUT_KEY);
+  return true;
+}
+
+// Clean up local files regardless of success or failure, and hand the job's
+// scratch reservation back. After a shutdown every key that did not get
+// through is recorded as interrupted, whatever stopped it.
+async function finishJob(ledger, scratch, job, error) {
+  const INPUT_KEY = job.item;
+  const { stage } = ledger.get(INPUT_KEY);
+  if (job.signal?.aborted && stage !== 'done' && stage !== 'quarantined') {
+    ledger.interrupt(INPUT_KEY);
+  } else if (error) {
+    ledger.fail(INPUT_KEY, error);
+  }
+  countFinishedJob(job.stage, ledger.get(INPUT_KEY));
+
+  try {
+    // Only delete the input if we downloaded it, transcoded it or it was already uploaded
+    if (job.cleanupInput && existsSync(job.inputPath)) {
+      await unlink(job.inputPath);
+      console.log(`✅ Deleted input file: ${job.inputPath}`);
+    }
+
+    // Delete output file if it exists, unless a Drive upload can still resume from it
+    if (job.outputPath && !job.keepOutput && existsSync(job.outputPath)) {
+      await unlink(job.outputPath);
+      console.log(`✅ Deleted output file: ${job.outputPath}`);
+    }
+  } catch (unlinkError) {
+    console.error('❌ Failed to delete local files:', unlinkError);
+  } finally {
+    scratch.release(job.reservation);
+  }
+}
+
+// `clients` ({ s3, drive }) stands in for the real S3 and Drive clients
+export async function runTranscode(config, clients = {}) {
+  const { index: currentInstance, total: totalInstances } = config.shard;
+  if (!config.leases) console.log(`🔢 Running as instance ${currentInstance} of ${totalInstances}`);
+  console.log(`🖥️ Using ${config.useCPU ? 'CPU (libx264)' : 'GPU (h264_nvenc)'} for encoding`);
+
+  const ledger = await openLedger(LEDGER_FILE);
+  const encodingProfiles = await loadEncodingProfiles();
+  if (config.encodingProfile) {
+    // Fail before any work starts if the run's profile does not exist
+    selectProfile(encodingProfiles, '', config.encodingProfile);
+    console.log(`🎛️ Using encoding profile: ${config.encodingProfile}`);
+  }
+
+  const client = instrumentS3(clients.s3 || new S3Client({ region: config.region }));
+  // Without destinations outputs only go to S3; a configured one that cannot
+  // be used stops the run
+  const destinations = await openDestinations(config, clients);
+  if (destinations.length === 0) {
+    console.log('☁️ No destinations configured, uploading to S3 only');
+  }
+
+  // Leftovers of an earlier run are removed, except outputs whose Drive
+  // upload can still resume
+  const scratch = await openScratch(config, {
+    keep: (filePath) =>
+      ledger
+        .records()
+        .some(
+          (record) =>
+            record.driveUpload?.filePath === filePath &&
+            canResumeSession(record.driveUpload, filePath)
+        ),
+  });
+
+  const metricsServer =
+    config.metricsPort != null
+      ? await startMetricsServer(config.metricsPort, { labels: { command: 'transcode' } })
+      : null;
+  const leases = config.leases ? openLeases(config.leases, { s3: client }) : null;
+  const shutdown = handleShutdown({ onForce: () => ledger.interruptInProgress() });
+
+  try {
+    // Read the key list (id_list.txt or an S3 prefix listing)
+    const allFiles = await loadInputKeys(client, config.bucket, config.inputEnv);
+
+    // Filter files based on instance parameters; with leases every instance
+    // goes through every key
+    const instanceFiles = leases
+      ? allFiles
+      : allFiles.filter((_, index) => index % totalInstances === currentInstance);
+
+    // Resume from the ledger: finished keys are skipped, failed ones are retried,
+    // and quarantined ones wait for someone to look at them
+    const keyListToProcess = instanceFiles.filter(
+      (key) =>
+        !ledger.isDone(key) && (RETRY_QUARANTINED || ledger.get(key)?.stage !== 'quarantined')
+    );
+    // Claimed keys are only recorded once this instance starts on them
+    if (!leases) keyListToProcess.forEach((key) => ledger.queue(key));
+
+    // One listing per Drive folder instead of one query per key
+    const folderPaths = keyListToProcess.map((key) => formatFolderPath(key, config.folderTemplate));
+    for (const destination of destinations) await destination.prefetch(folderPaths);
+
+    console.log(`📋 Total files found: ${allFiles.length}`);
+    console.log(
+      `📋 This instance (${leases ? 'claiming' : currentInstance}) will process: ` +
+        `${leases ? 'up to ' : ''}${keyListToProcess.length} files` +
+        ` (${instanceFiles.length - keyListToProcess.length} already done or quarantined)`
+    );
+
+    // Downloads, transcodes and uploads of different files overlap, each
+    // stage with its own concurrency limit
+    const stages = [
+      {
+        name: 'download',
+        concurrency: getPipelineConcurrency('download'),
+        run: (job) => downloadStage(config, client, destinations, ledger, scratch, job),
+      },
+      {
+        name: 'transcode',
+        concurrency: getPipelineConcurrency('transcode'),
+        run: (job) => transcodeStage(config, client, ledger, encodingProfiles, job),
+      },
+      {
+        name: 'upload',
+        concurrency: getPipelineConcurrency('upload'),
+        run: (job) => uploadStage(config, client, ledger, job),
+        // Outputs that exist are still delivered after a shutdown
+        drain: true,
+      },
+    ];
+    console.log(
+      `⚙️ Pipeline: ${stages.map((stage) => `${stage.concurrency} ${stage.name}`).join(', ')}`
+    );
+
+    const pipelineOptions = {
+      onFinish: (job, error) => finishJob(ledger, scratch, job, error),
+      signal: shutdown.signal,
+    };
+    if (leases) {
+      await runLeasedPipeline(keyListToProcess, stages, leases, {
+        ...pipelineOptions,
+        outcome: (key) => ledger.finalStage(key),
+      });
+    } else {
+      await runPipeline(keyListToProcess, stages, pipelineOptions);
+    }
+
+    if (shutdown.signal.aborted) {
+      console.log('🛑 Shut down early; interrupted keys are picked up by the next run');
+    } else {
+      console.log('✅ All processing completed for instance', currentInstance);
+    }
+    console.log('📊 Ledger summary:', ledger.summary());
+  } finally {
+    scratch.close();
+    shutdown.dispose();
+    await metricsServer?.close();
+  }
+}
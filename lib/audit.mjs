@@ -0,0 +1,187 @@
+import { writeFile } from 'fs/promises';
+import * as path from 'path';
+import { toCsv } from './csv.mjs';
+import { formatFolderPath } from './vdr-key.mjs';
+
+// Reconciliation between the keys we expect to be in Drive (input list or S3
+// listing) and what the Drive folder tree actually holds.
+//
+//   AUDIT_MIN_BYTES   files below this are size-suspicious when there is no S3
+//                     size to compare with (default 100KB)
+
+const MIN_BYTES = parseInt(process.env.AUDIT_MIN_BYTES || `${100 * 1024}`, 10);
+
+// util.parseArgs specs of the `audit` command; `description` and `valueName` feed --help
+export const AUDIT_OPTIONS = {
+  naming: {
+    type: 'string',
+    default: 'transcode',
+    valueName: 'transcode|copy',
+    description: "Drive names: `<name>_converted.mp4` or the key's own name",
+  },
+  report: {
+    type: 'string',
+    default: 'audit-report.json',
+    valueName: 'file.json|file.csv',
+    description: 'where to write the audit report',
+  },
+  rerun: {
+    type: 'string',
+    default: 'rerun_list.txt',
+    valueName: 'file',
+    description: 'missing keys, in id_list.txt format',
+  },
+  'skip-sizes': {
+    type: 'boolean',
+    default: false,
+    description: 'do not compare Drive sizes with the S3 objects',
+  },
+};
+
+// Validates parsed AUDIT_OPTIONS values
+export function toAuditOptions(values) {
+  if (!['transcode', 'copy'].includes(values.naming)) {
+    throw new Error(`Unknown --naming "${values.naming}" (expected transcode, copy)`);
+  }
+  if (!['.json', '.csv'].includes(path.extname(values.report).toLowerCase())) {
+    throw new Error(`--report must end in .json or .csv: ${values.report}`);
+  }
+  return {
+    naming: values.naming,
+    report: values.report,
+    rerun: values.rerun,
+    skipSizes: values['skip-sizes'],
+  };
+}
+
+// The S3 key of the object that ends up in Drive for a source key
+export function driveSourceKey(key, naming) {
+  if (naming === 'copy') return key;
+  return `${key.slice(0, key.lastIndexOf('.'))}_converted.mp4`;
+}
+
+// One entry per source key: where in Drive it should be and under what name
+export function expectedDriveFiles(keys, { naming, folderTemplate }) {
+  return keys.map((key) => {
+    const s3Key = driveSourceKey(key, naming);
+    return {
+      key,
+      s3Key,
+      fileName: path.basename(s3Key),
+      folderPath: formatFolderPath(key, folderTemplate),
+    };
+  });
+}
+
+// `expected` comes from expectedDriveFiles (optionally with `expectedSize`);
+// `driveFiles` are destination.list() results with their `folderPath`
+export function auditDrive(expected, driveFiles) {
+  const byName = new Map();
+  for (const file of driveFiles) {
+    if (!byName.has(file.name)) byName.set(file.name, []);
+    byName.get(file.name).push(file);
+  }
+
+  const found = [];
+  const missing = [];
+  const misplaced = [];
+  const zeroByte = [];
+  const sizeSuspicious = [];
+  const matchedIds = new Set();
+
+  for (const entry of expected) {
+    const candidates = byName.get(entry.fileName) || [];
+    candidates.forEach((file) => matchedIds.add(file.id));
+    const inPlace = candidates.filter((file) => file.folderPath === entry.folderPath);
+
+    if (candidates.length === 0) {
+      missing.push(entry);
+      continue;
+    }
+    if (inPlace.length === 0) {
+      misplaced.push({
+        ...entry,
+        driveFolders: candidates.map((file) => file.folderPath),
+        driveFileIds: candidates.map((file) => file.id),
+      });
+      continue;
+    }
+
+    for (const file of inPlace) {
+      const size = file.size === undefined || file.size === null ? null : parseInt(file.size, 10);
+      const result = { ...entry, driveFileId: file.id, size };
+      found.push(result);
+      if (size === 0) {
+        zeroByte.push(result);
+      } else if (entry.expectedSize !== undefined && entry.expectedSize !== null) {
+        if (size !== entry.expectedSize) sizeSuspicious.push(result);
+      } else if (size !== null && size < MIN_BYTES) {
+        sizeSuspicious.push(result);
+      }
+    }
+  }
+
+  const unexpected = driveFiles
+    .filter((file) => !matchedIds.has(file.id))
+    .map((file) => ({
+      fileName: file.name,
+      folderPath: file.folderPath,
+      driveFileId: file.id,
+      size: file.size ? parseInt(file.size, 10) : null,
+    }));
+
+  return {
+    summary: {
+      expected: expected.length,
+      found: found.length,
+      missing: missing.length,
+      misplaced: misplaced.length,
+      unexpected: unexpected.length,
+      zeroByte: zeroByte.length,
+      sizeSuspicious: sizeSuspicious.length,
+    },
+    missing,
+    misplaced,
+    unexpected,
+    zeroByte,
+    sizeSuspicious,
+  };
+}
+
+const CSV_COLUMNS = [
+  'category',
+  'key',
+  'fileName',
+  'folderPath',
+  'driveFolders',
+  'driveFileId',
+  'size',
+  'expectedSize',
+];
+
+export async function writeAuditReport(filePath, audit) {
+  if (path.extname(filePath).toLowerCase() === '.csv') {
+    const rows = ['missing', 'misplaced', 'unexpected', 'zeroByte', 'sizeSuspicious'].flatMap(
+      (category) =>
+        audit[category].map((row) => ({
+          ...row,
+          category,
+          driveFolders: row.driveFolders && row.driveFolders.join(' | '),
+          driveFileId: row.driveFileId || (row.driveFileIds && row.driveFileIds.join(' | ')),
+        }))
+    );
+    await writeFile(filePath, toCsv(CSV_COLUMNS, rows));
+  } else {
+    await writeFile(
+      filePath,
+      `${JSON.stringify({ generatedAt: new Date().toISOString(), ...audit }, null, 2)}\n`
+    );
+  }
+  console.log(`📝 Audit report written to ${filePath}`);
+}
+
+// Same comma-separated format as id_list.txt, so it can be fed back as INPUT_FILE
+export async function writeRerunList(filePath, audit) {
+  await writeFile(filePath, audit.missing.map((entry) => entry.key).join(','));
+  console.log(`📝 Re-run list (${audit.missing.length} keys) written to ${filePath}`);
+}
@@ -0,0 +1,173 @@
+import { HeadObjectCommand } from '@aws-sdk/client-s3';
+import { createHash } from 'crypto';
+import { createReadStream } from 'fs';
+
+// Hashes for end-to-end transfer checks. Every file is hashed as it streams
+// (download from S3, upload to Drive) and compared with what the other side
+// reports: the S3 ETag or stored SHA-256, and Drive's md5Checksum.
+//
+// A multipart S3 ETag is the MD5 of the part MD5s plus `-<parts>`, so it can
+// only be reproduced when the part size is known; it is read from part 1.
+// ETags of SSE-KMS / SSE-C objects are not MD5s and are not compared.
+//
+//   VERIFY_CHECKSUMS   set to `false` to skip comparing against S3
+
+export const VERIFY_CHECKSUMS = process.env.VERIFY_CHECKSUMS !== 'false';
+
+// Incremental MD5 + SHA-256; with `partSize` also the multipart ETag S3 would
+// compute for an upload cut into parts of that size
+export function createHasher({ partSize = null } = {}) {
+  const md5 = createHash('md5');
+  const sha256 = createHash('sha256');
+  const partDigests = [];
+  let part = null;
+  let partBytes = 0;
+  let size = 0;
+
+  function update(chunk) {
+    md5.update(chunk);
+    sha256.update(chunk);
+    size += chunk.length;
+    if (!partSize) return;
+
+    let offset = 0;
+    while (offset < chunk.length) {
+      if (!part) {
+        part = createHash('md5');
+        partBytes = 0;
+      }
+      const take = Math.min(partSize - partBytes, chunk.length - offset);
+      part.update(chunk.subarray(offset, offset + take));
+      partBytes += take;
+      offset += take;
+      if (partBytes === partSize) {
+        partDigests.push(part.digest());
+        part = null;
+      }
+    }
+  }
+
+  function digest() {
+    const result = { size, md5: md5.digest('hex'), sha256: sha256.digest('hex') };
+    if (partSize) {
+      if (part) partDigests.push(part.digest());
+      const etag = createHash('md5').update(Buffer.concat(partDigests)).digest('hex');
+      result.multipartEtag = `${etag}-${partDigests.length}`;
+      result.partSize = partSize;
+    }
+    return result;
+  }
+
+  return { update, digest };
+}
+
+export function hashFile(filePath, options) {
+  return hashStream(createReadStream(filePath), options);
+}
+
+export function hashStream(stream, options) {
+  return new Promise((resolve, reject) => {
+    const hasher = createHasher(options);
+    stream.on('data', (chunk) => hasher.update(chunk));
+    stream.on('error', reject);
+    stream.on('end', () => resolve(hasher.digest()));
+  });
+}
+
+export function checksumMismatchError(message) {
+  const error = new Error(message);
+  error.name = 'ChecksumMismatchError';
+  // A fresh transfer usually fixes it
+  error.retryable = true;
+  return error;
+}
+
+// What S3 can vouch for: the ETag (an MD5 unless encrypted with KMS or a
+// customer key), the part size behind a multipart ETag, and a full-object
+// SHA-256 if the object was uploaded with one
+export async function getS3Checksums(client, bucket, key) {
+  const head = await client.send(
+    new HeadObjectCommand({ Bucket: bucket, Key: key, ChecksumMode: 'ENABLED' })
+  );
+  const etag = (head.ETag || '').replace(/"/g, '');
+  const encrypted =
+    (head.ServerSideEncryption || '').startsWith('aws:kms') || !!head.SSECustomerAlgorithm;
+  const expected = {
+    etag: head.ETag,
+    size: head.ContentLength,
+    md5: null,
+    multipartEtag: null,
+    partSize: null,
+    sha256: null,
+  };
+
+  if (!encrypted && /^[0-9a-f]{32}$/.test(etag)) {
+    expected.md5 = etag;
+  } else if (!encrypted && /^[0-9a-f]{32}-\d+$/.test(etag)) {
+    const firstPart = await client.send(
+      new HeadObjectCommand({ Bucket: bucket, Key: key, PartNumber: 1 })
+    );
+    expected.multipartEtag = etag;
+    expected.partSize = firstPart.ContentLength;
+  }
+
+  // Composite (per-part) checksums end in `-<parts>` and are not comparable
+  if (head.ChecksumSHA256 && !head.ChecksumSHA256.includes('-')) {
+    expected.sha256 = Buffer.from(head.ChecksumSHA256, 'base64').toString('hex');
+  }
+  return expected;
+}
+
+// Returns { verifiedBy, problems }: what the local hashes were checked
+// against and every disagreement found
+export function compareWithS3(hashes, expected) {
+  const verifiedBy = [];
+  const problems = [];
+
+  if (expected.size !== undefined && hashes.size !== expected.size) {
+    problems.push(`size ${hashes.size} does not match S3 ContentLength ${expected.size}`);
+  }
+  if (expected.md5) {
+    if (hashes.md5 === expected.md5) verifiedBy.push('etag');
+    else problems.push(`md5 ${hashes.md5} does not match S3 ETag ${expected.md5}`);
+  }
+  // Only comparable when the part count agrees; otherwise the parts were not
+  // all the same size and the ETag cannot be reproduced
+  if (expected.multipartEtag && hashes.multipartEtag) {
+    const partCount = (etag) => etag.split('-')[1];
+    if (hashes.multipartEtag === expected.multipartEtag) {
+      verifiedBy.push('multipart-etag');
+    } else if (partCount(hashes.multipartEtag) === partCount(expected.multipartEtag)) {
+      problems.push(
+        `multipart ETag ${hashes.multipartEtag} does not match S3 ETag ${expected.multipartEtag}`
+      );
+    }
+  }
+  if (expected.sha256) {
+    if (hashes.sha256 === expected.sha256) verifiedBy.push('sha256');
+    else problems.push(`sha256 ${hashes.sha256} does not match S3 checksum ${expected.sha256}`);
+  }
+  return { verifiedBy, problems };
+}
+
+// The ETag of an object we just uploaded with lib-storage: a plain MD5 when
+// it fit in one PutObject, the multipart form otherwise
+export function uploadEtagMatches(hashes, etag) {
+  const value = (etag || '').replace(/"/g, '');
+  return value === hashes.md5 || value === hashes.multipartEtag;
+}
+
+// Throws a retryable ChecksumMismatchError when a download disagrees with S3,
+// otherwise returns the hashes with what they were verified against
+export function verifyS3Download(hashes, expected, key) {
+  const { verifiedBy, problems } = compareWithS3(hashes, expected);
+  if (problems.length > 0) {
+    throw checksumMismatchError(`Download of ${key} does not match S3: ${problems.join('; ')}`);
+  }
+  if (verifiedBy.length > 0) {
+    console.log(`🔒 Download verified against S3 (${verifiedBy.join(', ')})`);
+  } else if (VERIFY_CHECKSUMS) {
+    console.log(`⚠️ No S3 checksum to verify ${key} against (md5 ${hashes.md5})`);
+  }
+  return { ...hashes, verifiedBy };
+}
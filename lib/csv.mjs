@@ -0,0 +1,15 @@
+// CSV text for the audit and dedupe reports: a header row of `columns`, then
+// one line per row object, quoting values that need it
+
+function csvValue(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(columns, rows) {
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map((column) => csvValue(row[column])).join(','));
+  }
+  return `${lines.join('\n')}\n`;
+}
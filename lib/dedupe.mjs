@@ -0,0 +1,258 @@
+import { writeFile } from 'fs/promises';
+import * as path from 'path';
+import { toCsv } from './csv.mjs';
+
+// Options of the `dedupe` command, so it can run unattended (cron, CI). The
+// specs are util.parseArgs options; `description` and `valueName` feed --help.
+
+export const KEEP_POLICIES = ['first', 'newest', 'oldest', 'largest'];
+export const GROUP_BY = ['name-and-content', 'content'];
+export const DEDUPE_ACTIONS = ['trash', 'delete', 'rename', 'none'];
+
+export const DEDUPE_OPTIONS = {
+  'group-by': {
+    type: 'string',
+    default: 'name-and-content',
+    valueName: GROUP_BY.join('|'),
+    description: 'duplicates share name and content, or just content (md5Checksum plus size)',
+  },
+  keep: {
+    type: 'string',
+    default: 'first',
+    valueName: KEEP_POLICIES.join('|'),
+    description: 'which copy of a duplicate group survives',
+  },
+  action: {
+    type: 'string',
+    default: 'trash',
+    valueName: DEDUPE_ACTIONS.join('|'),
+    description: 'what happens to the other copies',
+  },
+  folder: {
+    type: 'string',
+    valueName: 'path',
+    description: 'only scan this folder path under the Drive folder',
+  },
+  'folder-id': { type: 'string', valueName: 'id', description: 'only scan this Drive folder' },
+  verify: {
+    type: 'boolean',
+    default: false,
+    description: 're-check every file still exists before acting',
+  },
+  'dry-run': { type: 'boolean', default: false, description: 'plan and report, change nothing' },
+  yes: { type: 'boolean', default: false, description: 'do not ask for confirmation' },
+  report: {
+    type: 'string',
+    valueName: 'file.json|file.csv',
+    description: 'write every group and the action taken',
+  },
+};
+
+// Validates parsed DEDUPE_OPTIONS values
+export function toDedupeOptions(values) {
+  if (!GROUP_BY.includes(values['group-by'])) {
+    throw new Error(`Unknown --group-by "${values['group-by']}" (expected ${GROUP_BY.join(', ')})`);
+  }
+  if (!KEEP_POLICIES.includes(values.keep)) {
+    throw new Error(`Unknown --keep "${values.keep}" (expected ${KEEP_POLICIES.join(', ')})`);
+  }
+  if (!DEDUPE_ACTIONS.includes(values.action)) {
+    throw new Error(`Unknown --action "${values.action}" (expected ${DEDUPE_ACTIONS.join(', ')})`);
+  }
+  if (values.folder && values['folder-id']) {
+    throw new Error('Use either --folder or --folder-id, not both');
+  }
+  if (values.report && !['.json', '.csv'].includes(path.extname(values.report).toLowerCase())) {
+    throw new Error(`--report must end in .json or .csv: ${values.report}`);
+  }
+
+  return {
+    groupBy: values['group-by'],
+    keep: values.keep,
+    action: values.action,
+    folder: values.folder || null,
+    folderId: values['folder-id'] || null,
+    verify: values.verify,
+    dryRun: values['dry-run'],
+    yes: values.yes,
+    report: values.report || null,
+  };
+}
+
+function sizeOf(instance) {
+  return instance.size ? parseInt(instance.size, 10) : 0;
+}
+
+function contentKey(file) {
+  return file.md5Checksum ? `${file.md5Checksum}:${file.size || 0}` : null;
+}
+
+function groupBy(items, keyOf) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  return groups;
+}
+
+// Groups scanned files into true duplicates (same content, and the same name
+// unless grouping by content alone) and conflicts: files sharing a name whose
+// content differs or cannot be compared. Conflicts are reported, never acted on.
+// Returns { duplicateMap: { label: [files] }, conflicts: [{ name, reason, files }] }
+export function findDuplicates(files, mode = 'name-and-content') {
+  const duplicateMap = {};
+  const conflicts = [];
+
+  if (mode === 'content') {
+    // Files without an md5Checksum (e.g. Google Docs) cannot be compared
+    const byContent = groupBy(files.filter(contentKey), contentKey);
+    for (const group of byContent.values()) {
+      if (group.length < 2) continue;
+      duplicateMap[`${group[0].name} (md5 ${group[0].md5Checksum})`] = group;
+    }
+    return { duplicateMap, conflicts };
+  }
+
+  for (const [name, sameName] of groupBy(files, (file) => file.name)) {
+    if (sameName.length < 2) continue;
+
+    const unknown = sameName.filter((file) => !contentKey(file));
+    const byContent = groupBy(
+      sameName.filter((file) => contentKey(file)),
+      contentKey
+    );
+    const variants = [...byContent.values()];
+
+    for (const group of variants) {
+      if (group.length < 2) continue;
+      const label = variants.length > 1 ? `${name} (md5 ${group[0].md5Checksum})` : name;
+      duplicateMap[label] = group;
+    }
+    if (variants.length > 1) {
+      conflicts.push({ name, reason: 'same name, different content', files: sameName });
+    } else if (unknown.length > 0) {
+      conflicts.push({ name, reason: 'no md5Checksum to compare', files: sameName });
+    }
+  }
+  return { duplicateMap, conflicts };
+}
+
+function modifiedTime(instance) {
+  return instance.modifiedTime || instance.createdTime || '';
+}
+
+// Index of the copy to keep; ties go to the copy found first. "newest" and
+// "oldest" go by modifiedTime, falling back to createdTime.
+function keeperIndex(instances, keep) {
+  let best = 0;
+  for (let i = 1; i < instances.length; i++) {
+    const candidate = instances[i];
+    const current = instances[best];
+    if (keep === 'newest' && modifiedTime(candidate) > modifiedTime(current)) {
+      best = i;
+    } else if (keep === 'oldest' && modifiedTime(candidate) < modifiedTime(current)) {
+      best = i;
+    } else if (keep === 'largest' && sizeOf(candidate) > sizeOf(current)) {
+      best = i;
+    }
+  }
+  return best;
+}
+
+// Turns a { label: [instances] } map into one group per label with the copy
+// that stays and the copies the action applies to
+export function planDuplicateGroups(duplicateMap, { keep, action }) {
+  const groups = [];
+  for (const name of Object.keys(duplicateMap)) {
+    const instances = duplicateMap[name];
+    if (instances.length < 2) continue;
+    const index = keeperIndex(instances, keep);
+    groups.push({
+      name,
+      keep: instances[index],
+      duplicates: instances
+        .filter((_, i) => i !== index)
+        .map((instance) => ({ ...instance, action, status: 'pending' })),
+    });
+  }
+  return groups;
+}
+
+function reportRows(groups, conflicts) {
+  const rows = [];
+  for (const group of groups) {
+    rows.push({ group: group.name, role: 'keep', ...group.keep, action: 'keep', status: 'kept' });
+    for (const duplicate of group.duplicates) {
+      rows.push({ group: group.name, role: 'duplicate', ...duplicate });
+    }
+  }
+  for (const conflict of conflicts) {
+    for (const file of conflict.files) {
+      rows.push({
+        group: conflict.name,
+        role: 'conflict',
+        ...file,
+        action: 'none',
+        status: 'conflict',
+        error: conflict.reason,
+      });
+    }
+  }
+  return rows;
+}
+
+const CSV_COLUMNS = [
+  'group',
+  'role',
+  'id',
+  'name',
+  'parentId',
+  'parentName',
+  'createdTime',
+  'modifiedTime',
+  'size',
+  'md5Checksum',
+  'action',
+  'status',
+  'newName',
+  'error',
+];
+
+// JSON keeps the group structure; CSV has one row per file
+export async function writeDedupeReport(filePath, groups, options, conflicts = []) {
+  if (path.extname(filePath).toLowerCase() === '.csv') {
+    await writeFile(filePath, toCsv(CSV_COLUMNS, reportRows(groups, conflicts)));
+  } else {
+    const report = {
+      generatedAt: new Date().toISOString(),
+      options,
+      groups,
+      conflicts,
+    };
+    await writeFile(filePath, `${JSON.stringify(report, null, 2)}\n`);
+  }
+  console.log(`📝 Duplicate report written to ${filePath}`);
+}
+
+// `dedupe --undo` reverses a journaled run instead of scanning; --dry-run and
+// --yes from DEDUPE_OPTIONS apply to it as well
+export const UNDO_OPTIONS = {
+  undo: { type: 'boolean', default: false, description: 'undo a journaled dedupe run' },
+  run: {
+    type: 'string',
+    valueName: 'runId',
+    description: 'the run to undo (default: the latest one not yet undone)',
+  },
+  'list-runs': { type: 'boolean', default: false, description: 'list journaled runs and exit' },
+};
+
+export function toUndoOptions(values) {
+  return {
+    run: values.run || null,
+    list: values['list-runs'],
+    dryRun: values['dry-run'],
+    yes: values.yes,
+  };
+}
@@ -0,0 +1,61 @@
+import { createDriveIndex } from './drive-index.mjs';
+import { getAllFilesInFolder, uploadToGoogleDrive } from './google-drive.mjs';
+import { withRetry } from './retry.mjs';
+
+// Google Drive destination: folder paths live under `rootFolderId`, looked up
+// and created through the cached Drive index. Uploads are resumable (pass
+// `session`/`onSession`) and checked against Drive's md5Checksum.
+export function createDriveDestination(drive, rootFolderId) {
+  const index = createDriveIndex(drive, rootFolderId);
+
+  async function exists(folderPath, fileName) {
+    const folderId = await index.folderId(folderPath, { create: false });
+    return !!folderId && (await index.hasFile(folderId, fileName));
+  }
+
+  async function upload(source, folderPath, { mimeType, checksums, session, onSession } = {}) {
+    const folderId = await index.folderId(folderPath);
+    const file = await uploadToGoogleDrive(drive, source, folderId, {
+      mimeType,
+      checksums,
+      session,
+      onSession,
+    });
+    await index.addFile(folderId, { name: source.name, ...file });
+    return { id: file.id, location: file.webViewLink, md5: file.md5Checksum || null };
+  }
+
+  async function list(folderPath = '') {
+    const folderId = folderPath
+      ? await index.folderId(folderPath, { create: false })
+      : rootFolderId;
+    return folderId ? getAllFilesInFolder(drive, folderId, folderPath) : [];
+  }
+
+  // Moves the file to the Drive trash, where it stays recoverable for 30 days
+  async function remove(folderPath, fileName) {
+    const folderId = await index.folderId(folderPath, { create: false });
+    const file = folderId && (await index.findFile(folderId, fileName));
+    if (!file) return false;
+    await withRetry('drive', () =>
+      drive.files.update({
+        fileId: file.id,
+        requestBody: { trashed: true },
+        supportsAllDrives: true,
+      })
+    );
+    await index.removeFile(folderId, fileName);
+    return true;
+  }
+
+  return {
+    name: 'drive',
+    label: 'Google Drive',
+    ensureFolder: (folderPath) => index.folderId(folderPath),
+    exists,
+    upload,
+    list,
+    delete: remove,
+    prefetch: (folderPaths) => index.prefetch(folderPaths),
+  };
+}
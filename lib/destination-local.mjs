@@ -0,0 +1,83 @@
+import { createWriteStream, existsSync } from 'fs';
+import { mkdir, readdir, rename, stat, unlink } from 'fs/promises';
+import * as path from 'path';
+import { pipeline } from 'stream/promises';
+import { checksumMismatchError, hashFile } from './checksums.mjs';
+import { incrementMetric } from './metrics.mjs';
+
+// Local directory destination, for offline runs and tests: folder paths
+// become subdirectories of `rootDir`. Sources are copied to `<name>.part` and
+// renamed once complete, so a crash never leaves a file that looks delivered.
+export function createLocalDestination(rootDir) {
+  const root = path.resolve(rootDir);
+
+  async function ensureFolder(folderPath) {
+    const directory = path.join(root, folderPath);
+    await mkdir(directory, { recursive: true });
+    return directory;
+  }
+
+  // `checksums.md5`, when given, is compared with the copy before it is renamed
+  async function upload(source, folderPath, { checksums } = {}) {
+    const directory = await ensureFolder(folderPath);
+    const target = path.join(directory, source.name);
+    const partial = `${target}.part`;
+    await pipeline(await source.open(), createWriteStream(partial));
+
+    if (checksums?.md5) {
+      const copied = await hashFile(partial);
+      if (copied.md5 !== checksums.md5) {
+        await unlink(partial);
+        throw checksumMismatchError(
+          `Copy of ${source.label} has md5 ${copied.md5}, expected ${checksums.md5}`
+        );
+      }
+    }
+    await rename(partial, target);
+    incrementMetric('uploaded_bytes_total', { target: 'local' }, (await stat(target)).size);
+    return { id: path.relative(root, target), location: target, md5: checksums?.md5 || null };
+  }
+
+  async function list(folderPath = '') {
+    const files = [];
+    async function walk(relativeDir) {
+      const directory = path.join(root, relativeDir);
+      if (!existsSync(directory)) return;
+      for (const entry of await readdir(directory, { withFileTypes: true })) {
+        const relative = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+          await walk(relative);
+        } else if (!entry.name.endsWith('.part')) {
+          const { size, mtime } = await stat(path.join(root, relative));
+          files.push({
+            id: relative,
+            name: entry.name,
+            folderPath: relativeDir,
+            size,
+            modifiedTime: mtime.toISOString(),
+          });
+        }
+      }
+    }
+    await walk(folderPath);
+    return files;
+  }
+
+  async function remove(folderPath, fileName) {
+    const target = path.join(root, folderPath, fileName);
+    if (!existsSync(target)) return false;
+    await unlink(target);
+    return true;
+  }
+
+  return {
+    name: 'local',
+    label: root,
+    ensureFolder,
+    exists: async (folderPath, fileName) => existsSync(path.join(root, folderPath, fileName)),
+    upload,
+    list,
+    delete: remove,
+    prefetch: async () => {},
+  };
+}
@@ -0,0 +1,77 @@
+import { DeleteObjectCommand, paginateListObjectsV2 } from '@aws-sdk/client-s3';
+import * as path from 'path';
+import { hashStream, VERIFY_CHECKSUMS } from './checksums.mjs';
+import { withRetry } from './retry.mjs';
+import { checkFileExistsInS3, S3_PART_SIZE, uploadToS3 } from './s3-transfer.mjs';
+
+// S3 destination, e.g. a customer's own bucket: folder paths become key
+// prefixes under `prefix`. Uploads are checked against the ETag S3 returns.
+export function createS3Destination(client, bucket, prefix = '') {
+  const root = prefix.replace(/^\/+|\/+$/g, '');
+
+  function keyFor(folderPath, fileName) {
+    return [root, folderPath, fileName].filter(Boolean).join('/');
+  }
+
+  async function upload(source, folderPath, { mimeType, checksums, sourceKey } = {}) {
+    const key = keyFor(folderPath, source.name);
+    // The expected multipart ETag depends on the part size of this upload
+    if (VERIFY_CHECKSUMS && checksums?.partSize !== S3_PART_SIZE) {
+      checksums = await hashStream(await source.open(), { partSize: S3_PART_SIZE });
+    }
+    await uploadToS3(client, bucket, source, key, {
+      sourceKey,
+      checksums,
+      contentType: mimeType || 'application/octet-stream',
+    });
+    return { id: key, location: `s3://${bucket}/${key}`, md5: checksums?.md5 || null };
+  }
+
+  // Plain (single part) ETags are MD5s, like Drive's md5Checksum
+  async function list(folderPath = '') {
+    const base = [root, folderPath].filter(Boolean).join('/');
+    const files = [];
+    const paginator = paginateListObjectsV2(
+      { client },
+      { Bucket: bucket, Prefix: base ? `${base}/` : '' }
+    );
+    for await (const page of paginator) {
+      for (const object of page.Contents || []) {
+        if (object.Key.endsWith('/')) continue;
+        const relative = root ? object.Key.slice(root.length + 1) : object.Key;
+        const etag = (object.ETag || '').replace(/"/g, '');
+        files.push({
+          id: object.Key,
+          name: path.posix.basename(relative),
+          folderPath: path.posix.dirname(relative) === '.' ? '' : path.posix.dirname(relative),
+          size: object.Size,
+          md5Checksum: /^[0-9a-f]{32}$/.test(etag) ? etag : null,
+          modifiedTime: object.LastModified ? object.LastModified.toISOString() : null,
+        });
+      }
+    }
+    return files;
+  }
+
+  async function remove(folderPath, fileName) {
+    const key = keyFor(folderPath, fileName);
+    if (!(await checkFileExistsInS3(client, bucket, key))) return false;
+    await withRetry('s3-upload', () =>
+      client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }))
+    );
+    return true;
+  }
+
+  return {
+    name: 's3',
+    label: `s3://${[bucket, root].filter(Boolean).join('/')}`,
+    // S3 has no folders; the key prefix is the folder
+    ensureFolder: async (folderPath) => keyFor(folderPath, ''),
+    exists: (folderPath, fileName) =>
+      checkFileExistsInS3(client, bucket, keyFor(folderPath, fileName)),
+    upload,
+    list,
+    delete: remove,
+    prefetch: async () => {},
+  };
+}
@@ -0,0 +1,109 @@
+import { S3Client } from '@aws-sdk/client-s3';
+import { fileTypeFromFile } from 'file-type';
+import { createDriveDestination } from './destination-drive.mjs';
+import { createLocalDestination } from './destination-local.mjs';
+import { createS3Destination } from './destination-s3.mjs';
+import { connectGoogleDrive } from './google-drive.mjs';
+import { instrumentDrive, instrumentS3 } from './metrics.mjs';
+import { fileSource } from './upload-source.mjs';
+
+// Where finished files are delivered. A run can have several destinations
+// (e.g. a customer's S3 bucket plus Drive); each one implements:
+//
+//   name                                  'drive', 's3' or 'local'
+//   label                                 for logs
+//   ensureFolder(folderPath)              creates the folder path if needed
+//   exists(folderPath, fileName)          whether the file is already there
+//   upload(source, folderPath, options)   stores an upload source (see
+//                                         lib/upload-source.mjs) under its name
+//                                         and returns { id, location, md5 };
+//                                         options: mimeType, checksums (from
+//                                         hashFile), sourceKey, and a resumable
+//                                         `session`/`onSession` for Drive
+//   list(folderPath?)                     every file below the folder path, as
+//                                         { id, name, folderPath, size, ... }
+//   delete(folderPath, fileName)          removes the file; false if absent
+//   prefetch(folderPaths)                 warms caches before a run
+//
+// Folder paths are relative to the destination's root and come from the
+// folder template (see lib/vdr-key.mjs).
+
+export const DESTINATION_TYPES = ['drive', 's3', 'local'];
+
+// `config` comes from the CLI: destinations, driveFolderId, destBucket,
+// destPrefix, destRegion and destDir. `clients` ({ s3, drive }) replaces the
+// clients that would be created, e.g. with the fakes in test/helpers.
+export async function openDestinations(config, clients = {}) {
+  const destinations = [];
+  for (const name of config.destinations) {
+    if (name === 'drive') {
+      const drive = instrumentDrive(
+        clients.drive || (await connectGoogleDrive(config.driveFolderId))
+      );
+      destinations.push(createDriveDestination(drive, config.driveFolderId));
+    } else if (name === 's3') {
+      const client = instrumentS3(
+        clients.s3 || new S3Client({ region: config.destRegion || config.region })
+      );
+      destinations.push(createS3Destination(client, config.destBucket, config.destPrefix));
+    } else if (name === 'local') {
+      destinations.push(createLocalDestination(config.destDir));
+    }
+  }
+  if (destinations.length > 0) {
+    console.log(`📦 Destinations: ${destinations.map((d) => d.label).join(', ')}`);
+  }
+  return destinations;
+}
+
+// The destinations that do not have the file yet
+export async function missingFrom(destinations, folderPath, fileName) {
+  const missing = [];
+  for (const destination of destinations) {
+    if (await destination.exists(folderPath, fileName)) {
+      console.log(`⏭️ ${fileName} already in ${destination.label}: ${folderPath}`);
+    } else {
+      missing.push(destination);
+    }
+  }
+  return missing;
+}
+
+// Uploads a job's file to each destination, recording every delivery in the
+// ledger under `outputs.deliveries`. The Drive session URI goes into the
+// ledger as `driveUpload` so a restart can resume that upload. Returns the
+// errors of the destinations that failed; the others stay delivered.
+// `file` is a local path or an upload source. Without a `mimeType` it is
+// detected from a local file's contents.
+export async function deliverFile(destinations, file, folderPath, ledger, key, options = {}) {
+  if (destinations.length === 0) return [];
+  const source = typeof file === 'string' ? fileSource(file) : file;
+  if (!options.mimeType) {
+    const fileType = source.filePath && (await fileTypeFromFile(source.filePath));
+    options = { ...options, mimeType: fileType?.mime || 'video/mp4' };
+  }
+  const errors = [];
+  for (const destination of destinations) {
+    const isDrive = destination.name === 'drive';
+    try {
+      console.log(`⬆️ Uploading to ${destination.label}: ${folderPath}`);
+      const delivery = await destination.upload(source, folderPath, {
+        ...options,
+        session: isDrive ? ledger.get(key).driveUpload : undefined,
+        onSession: isDrive
+          ? (session) => ledger.setStage(key, 'uploading', { driveUpload: session })
+          : undefined,
+      });
+      console.log(`✅ Delivered to ${destination.label}: ${delivery.location}`);
+      ledger.setOutputs(key, {
+        deliveries: { ...ledger.get(key).outputs?.deliveries, [destination.name]: delivery },
+      });
+      if (isDrive) ledger.setStage(key, 'uploading', { driveUpload: null });
+    } catch (uploadError) {
+      console.error(`❌ Upload to ${destination.label} failed:`, uploadError);
+      uploadError.destination = destination.name;
+      errors.push(uploadError);
+    }
+  }
+  return errors;
+}
@@ -0,0 +1,239 @@
+import { existsSync, writeFileSync } from 'fs';
+import { readFile } from 'fs/promises';
+import { google } from 'googleapis';
+import readline from 'readline';
+import { withRetry } from './retry.mjs';
+
+// Google Drive credentials, first match wins:
+//
+//   Service account, for unattended boxes:
+//     GOOGLE_SERVICE_ACCOUNT_KEY        the JSON key itself, raw or base64
+//     GOOGLE_SERVICE_ACCOUNT_KEY_FILE   path to the JSON key
+//     GOOGLE_IMPERSONATE_SUBJECT        user to act as (domain-wide delegation)
+//   OAuth client with a refresh token from the environment:
+//     GOOGLE_OAUTH_CLIENT_ID, GOOGLE_OAUTH_CLIENT_SECRET, GOOGLE_OAUTH_REFRESH_TOKEN
+//   OAuth files:
+//     OAUTH_CREDENTIALS_FILE   client credentials (default oauth-credentials.json)
+//     OAUTH_TOKENS_FILE        stored tokens (default oauth-tokens.json)
+//
+// The consent prompt for OAuth files only runs with a terminal attached.
+// Credentials are exchanged for an access token before any work starts, so
+// missing, expired or revoked ones fail the run with a DriveAuthError.
+
+const DRIVE_SCOPES = ['https://www.googleapis.com/auth/drive'];
+
+export function driveAuthError(message, cause) {
+  const error = new Error(message, { cause });
+  error.name = 'DriveAuthError';
+  // Retrying does not bring revoked or missing credentials back
+  error.retryable = false;
+  return error;
+}
+
+// Returns an auth client with working credentials, or throws a DriveAuthError
+export async function createDriveAuth(env = process.env) {
+  let auth;
+  let source;
+  if (env.GOOGLE_SERVICE_ACCOUNT_KEY || env.GOOGLE_SERVICE_ACCOUNT_KEY_FILE) {
+    source = 'service-account';
+    auth = await serviceAccountAuth(env);
+  } else if (env.GOOGLE_OAUTH_REFRESH_TOKEN) {
+    source = 'oauth-env';
+    auth = envOAuthAuth(env);
+  } else {
+    source = 'oauth-file';
+    auth = await fileOAuthAuth(env);
+  }
+
+  try {
+    const { token } = await withRetry('drive', () => auth.getAccessToken());
+    if (!token) throw new Error('no access token returned');
+  } catch (error) {
+    throw driveAuthError(describeAuthError(error, source, env), error);
+  }
+  return auth;
+}
+
+// Key JSON pasted into an env var is often base64-encoded to survive quoting
+function decodeKey(value) {
+  const text = value.trim();
+  return text.startsWith('{') ? text : Buffer.from(text, 'base64').toString('utf-8');
+}
+
+async function serviceAccountAuth(env) {
+  let key;
+  try {
+    const content = env.GOOGLE_SERVICE_ACCOUNT_KEY
+      ? decodeKey(env.GOOGLE_SERVICE_ACCOUNT_KEY)
+      : await readFile(env.GOOGLE_SERVICE_ACCOUNT_KEY_FILE, 'utf-8');
+    key = JSON.parse(content);
+  } catch (error) {
+    const where = env.GOOGLE_SERVICE_ACCOUNT_KEY
+      ? 'GOOGLE_SERVICE_ACCOUNT_KEY'
+      : env.GOOGLE_SERVICE_ACCOUNT_KEY_FILE;
+    throw driveAuthError(`Cannot read the service account key (${where}): ${error.message}`, error);
+  }
+  if (key.type !== 'service_account' || !key.client_email || !key.private_key) {
+    throw driveAuthError('The service account key is not a JSON key of type "service_account"');
+  }
+
+  const subject = env.GOOGLE_IMPERSONATE_SUBJECT || undefined;
+  console.log(`🔑 Using service account ${key.client_email}${subject ? ` as ${subject}` : ''}`);
+  return new google.auth.JWT({
+    email: key.client_email,
+    key: key.private_key,
+    keyId: key.private_key_id,
+    scopes: DRIVE_SCOPES,
+    subject,
+  });
+}
+
+function envOAuthAuth(env) {
+  if (!env.GOOGLE_OAUTH_CLIENT_ID || !env.GOOGLE_OAUTH_CLIENT_SECRET) {
+    throw driveAuthError(
+      'GOOGLE_OAUTH_REFRESH_TOKEN needs GOOGLE_OAUTH_CLIENT_ID and GOOGLE_OAUTH_CLIENT_SECRET'
+    );
+  }
+  console.log(`🔑 Using OAuth client ${env.GOOGLE_OAUTH_CLIENT_ID} with a refresh token from env`);
+  const oauth2Client = new google.auth.OAuth2(
+    env.GOOGLE_OAUTH_CLIENT_ID,
+    env.GOOGLE_OAUTH_CLIENT_SECRET
+  );
+  oauth2Client.setCredentials({ refresh_token: env.GOOGLE_OAUTH_REFRESH_TOKEN });
+  return oauth2Client;
+}
+
+async function fileOAuthAuth(env) {
+  const credentialsFile = env.OAUTH_CREDENTIALS_FILE || 'oauth-credentials.json';
+  const tokensFile = env.OAUTH_TOKENS_FILE || 'oauth-tokens.json';
+
+  if (!existsSync(credentialsFile)) {
+    throw driveAuthError(
+      'No Google Drive credentials: set GOOGLE_SERVICE_ACCOUNT_KEY_FILE ' +
+        '(or GOOGLE_SERVICE_ACCOUNT_KEY), GOOGLE_OAUTH_REFRESH_TOKEN with its client ID ' +
+        `and secret, or provide ${credentialsFile}`
+    );
+  }
+  let credentials;
+  try {
+    const content = JSON.parse(await readFile(credentialsFile, 'utf-8'));
+    credentials = content.web || content.installed;
+  } catch (error) {
+    throw driveAuthError(`Cannot read ${credentialsFile}: ${error.message}`, error);
+  }
+  if (!credentials) {
+    throw driveAuthError(`${credentialsFile} has no "web" or "installed" OAuth client`);
+  }
+  console.log(`Using OAuth client: ${credentials.client_id}`);
+
+  const oauth2Client = new google.auth.OAuth2(
+    credentials.client_id,
+    credentials.client_secret,
+    credentials.redirect_uris[0]
+  );
+
+  // Check if we have stored tokens
+  let tokens;
+  if (existsSync(tokensFile)) {
+    try {
+      tokens = JSON.parse(await readFile(tokensFile, 'utf-8'));
+    } catch (error) {
+      throw driveAuthError(`Cannot read ${tokensFile}: ${error.message}`, error);
+    }
+    console.log('Found stored OAuth tokens');
+  } else if (process.stdin.isTTY) {
+    console.log('No stored tokens found, need to authorize');
+    tokens = await getNewTokens(oauth2Client, tokensFile);
+  } else {
+    throw driveAuthError(
+      `No OAuth tokens in ${tokensFile} and no terminal to authorize on: run once ` +
+        'interactively or use a service account (GOOGLE_SERVICE_ACCOUNT_KEY_FILE)'
+    );
+  }
+
+  // Set the credentials
+  oauth2Client.setCredentials(tokens);
+
+  // Save refresh token workflow if needed
+  oauth2Client.on('tokens', (newTokens) => {
+    if (newTokens.refresh_token) {
+      // Store new tokens
+      tokens = { ...tokens, ...newTokens };
+      writeFileSync(tokensFile, JSON.stringify(tokens, null, 2));
+      console.log('New OAuth tokens saved');
+    }
+  });
+
+  return oauth2Client;
+}
+
+async function getNewTokens(oauth2Client, tokensFile) {
+  return new Promise((resolve, reject) => {
+    // Generate the authorization URL
+    const authUrl = oauth2Client.generateAuthUrl({
+      access_type: 'offline',
+      scope: DRIVE_SCOPES,
+    });
+
+    console.log('Authorize this app by visiting this URL:', authUrl);
+
+    // Set up readline interface to get authorization code from user
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+    });
+
+    rl.question('Enter the code from that page here: ', async (code) => {
+      rl.close();
+      try {
+        // Exchange auth code for tokens
+        const { tokens } = await oauth2Client.getToken(code);
+        console.log('OAuth tokens obtained successfully');
+
+        // Save tokens to file for future use
+        writeFileSync(tokensFile, JSON.stringify(tokens, null, 2));
+        console.log(`OAuth tokens saved to ${tokensFile}`);
+
+        resolve(tokens);
+      } catch (err) {
+        reject(driveAuthError(`Authorization failed: ${err.message}`, err));
+      }
+    });
+  });
+}
+
+// Token endpoint errors come back as { error: 'invalid_grant', ... } in the
+// response body (OAuth) or in the message (service accounts via gtoken)
+function describeAuthError(error, source, env) {
+  const body = error.response?.data || {};
+  const reason =
+    body.error || (/invalid_grant|unauthorized_client|invalid_client/.exec(error.message) || [])[0];
+  const detail = body.error_description || error.message;
+
+  if (source === 'service-account') {
+    if (reason === 'unauthorized_client') {
+      return (
+        `Service account may not impersonate ${env.GOOGLE_IMPERSONATE_SUBJECT}: grant it ` +
+        `domain-wide delegation for ${DRIVE_SCOPES.join(', ')} in the Admin console (${detail})`
+      );
+    }
+    if (reason === 'invalid_grant') {
+      return (
+        'The service account key was rejected: it may have been deleted, the clock may be off, ' +
+        `or GOOGLE_IMPERSONATE_SUBJECT is not a user of the domain (${detail})`
+      );
+    }
+  } else if (reason === 'invalid_grant') {
+    const where =
+      source === 'oauth-env'
+        ? 'GOOGLE_OAUTH_REFRESH_TOKEN'
+        : `the refresh token in ${env.OAUTH_TOKENS_FILE || 'oauth-tokens.json'}`;
+    return (
+      `Google Drive authorization has expired or been revoked (${where}): authorize again ` +
+      `in a terminal or switch to a service account (${detail})`
+    );
+  } else if (reason === 'invalid_client') {
+    return `The OAuth client ID or secret was rejected (${detail})`;
+  }
+  return `Google Drive authentication failed: ${detail}`;
+}
@@ -0,0 +1,208 @@
+import { withRetry } from './retry.mjs';
+
+// In-process index of the Drive folder tree under the destination root. Each
+// folder's children are listed once (paginated) the first time it is needed
+// and kept up to date as folders are created and files uploaded, so the skip
+// checks no longer cost a files.list per key.
+//
+// Drive does not enforce unique names, so concurrent instances used to race
+// and create duplicate `camera-NNNN` folders. Folder creation now re-checks
+// Drive, creates, waits DRIVE_FOLDER_SETTLE_MS (default 2000) and lists every
+// folder of that name again; all instances settle on the oldest one (ties by
+// ID) and whoever created a newer one trashes it while it is still empty.
+
+const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+const SETTLE_MS = parseInt(process.env.DRIVE_FOLDER_SETTLE_MS || '2000', 10);
+
+// Values inside a Drive `q` string are single-quoted; backslashes and quotes
+// in names have to be escaped
+export function escapeQueryValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+}
+
+function byAge(a, b) {
+  if (a.createdTime !== b.createdTime) return a.createdTime < b.createdTime ? -1 : 1;
+  return a.id < b.id ? -1 : 1;
+}
+
+export function createDriveIndex(drive, rootFolderId) {
+  // folderId -> Promise<{ folders: Map<name, id>, files: Map<name, file> }>
+  const listings = new Map();
+  // `${parentId}/${name}` -> Promise<id> for creations in flight
+  const pendingFolders = new Map();
+
+  async function listChildren(folderId) {
+    const folders = new Map();
+    const files = new Map();
+    let pageToken = null;
+    do {
+      const response = await withRetry('drive', () =>
+        drive.files.list({
+          q: `'${escapeQueryValue(folderId)}' in parents and trashed=false`,
+          fields: 'nextPageToken, files(id, name, mimeType, size, md5Checksum, createdTime)',
+          orderBy: 'createdTime',
+          pageToken,
+          pageSize: 1000,
+          supportsAllDrives: true,
+          includeItemsFromAllDrives: true,
+        })
+      );
+      for (const file of response.data.files || []) {
+        // Oldest first, so a duplicated folder name resolves to the canonical one
+        if (file.mimeType === FOLDER_MIME_TYPE) {
+          if (!folders.has(file.name)) folders.set(file.name, file.id);
+        } else if (!files.has(file.name)) {
+          files.set(file.name, file);
+        }
+      }
+      pageToken = response.data.nextPageToken;
+    } while (pageToken);
+    return { folders, files };
+  }
+
+  function loadFolder(folderId) {
+    if (!listings.has(folderId)) {
+      const listing = listChildren(folderId);
+      // A failed listing is retried on the next lookup
+      listing.catch(() => listings.delete(folderId));
+      listings.set(folderId, listing);
+    }
+    return listings.get(folderId);
+  }
+
+  async function findFolders(parentId, name) {
+    const response = await withRetry('drive', () =>
+      drive.files.list({
+        q: `mimeType='${FOLDER_MIME_TYPE}' and name='${escapeQueryValue(
+          name
+        )}' and '${escapeQueryValue(parentId)}' in parents and trashed=false`,
+        fields: 'files(id, name, createdTime)',
+        spaces: 'drive',
+        supportsAllDrives: true,
+        includeItemsFromAllDrives: true,
+      })
+    );
+    return (response.data.files || []).sort(byAge);
+  }
+
+  async function createFolder(parentId, name) {
+    // Another instance may have created it since this folder was listed
+    const existing = await findFolders(parentId, name);
+    if (existing.length > 0) {
+      console.log(`✅ Found existing folder: ${name} (${existing[0].id})`);
+      return existing[0].id;
+    }
+
+    const created = await withRetry('drive', () =>
+      drive.files.create({
+        resource: { name, mimeType: FOLDER_MIME_TYPE, parents: [parentId] },
+        fields: 'id,name,createdTime',
+        supportsAllDrives: true,
+      })
+    );
+    console.log(`✅ Created new folder: ${name} (${created.data.id})`);
+
+    // Give racing creations time to show up, then settle on the oldest
+    await new Promise((resolve) => setTimeout(resolve, SETTLE_MS));
+    const candidates = await findFolders(parentId, name);
+    const canonical = candidates[0] || created.data;
+    if (canonical.id !== created.data.id) {
+      console.log(
+        `🔀 Folder ${name} was created concurrently; using ${canonical.id} and trashing ${created.data.id}`
+      );
+      try {
+        await withRetry('drive', () =>
+          drive.files.update({
+            fileId: created.data.id,
+            requestBody: { trashed: true },
+            supportsAllDrives: true,
+          })
+        );
+      } catch (trashError) {
+        console.error(
+          `❌ Failed to trash duplicate folder ${created.data.id}:`,
+          trashError.message
+        );
+      }
+    }
+    return canonical.id;
+  }
+
+  async function childFolder(parentId, name, create) {
+    const listing = await loadFolder(parentId);
+    if (listing.folders.has(name)) return listing.folders.get(name);
+    if (!create) return null;
+
+    // Keys processed side by side share one creation per folder
+    const pendingKey = `${parentId}/${name}`;
+    if (!pendingFolders.has(pendingKey)) {
+      const creation = createFolder(parentId, name)
+        .then((id) => {
+          listing.folders.set(name, id);
+          // A new folder is empty; no need to list it
+          if (!listings.has(id)) {
+            listings.set(id, Promise.resolve({ folders: new Map(), files: new Map() }));
+          }
+          return id;
+        })
+        .finally(() => pendingFolders.delete(pendingKey));
+      pendingFolders.set(pendingKey, creation);
+    }
+    return pendingFolders.get(pendingKey);
+  }
+
+  // Resolves a folder path (e.g. `Org/2nd-site__Berkeley/camera-1008`) under
+  // the root, creating missing segments unless `create` is false. Returns null
+  // if it does not exist and `create` is false. Drive errors (after retries)
+  // throw: taking them for a missing folder or file would upload duplicates.
+  async function folderId(folderPath, { create = true } = {}) {
+    let parentId = rootFolderId;
+    for (const name of folderPath.split('/')) {
+      parentId = await childFolder(parentId, name, create);
+      if (!parentId) return null;
+    }
+    return parentId;
+  }
+
+  async function hasFile(folderId, fileName) {
+    const listing = await loadFolder(folderId);
+    return listing.files.has(fileName);
+  }
+
+  // The oldest file of that name in the folder, or null
+  async function findFile(folderId, fileName) {
+    const listing = await loadFolder(folderId);
+    return listing.files.get(fileName) || null;
+  }
+
+  // Records an upload so later lookups see it without asking Drive
+  async function addFile(folderId, file) {
+    const listing = await loadFolder(folderId);
+    listing.files.set(file.name, file);
+  }
+
+  async function removeFile(folderId, fileName) {
+    const listing = await loadFolder(folderId);
+    listing.files.delete(fileName);
+  }
+
+  // Lists the folders behind these paths up front (without creating any), so
+  // the per-key skip checks are served from memory
+  async function prefetch(folderPaths) {
+    const unique = [...new Set(folderPaths)];
+    try {
+      for (const folderPath of unique) {
+        const id = await folderId(folderPath, { create: false });
+        if (id) await loadFolder(id);
+      }
+    } catch (error) {
+      // Only a warm-up; each key's own lookup lists the folder again
+      console.warn(`⚠️ Could not prefetch the Drive index: ${error.message}`);
+    }
+    console.log(
+      `🗂️ Drive index: ${listings.size} folder(s) listed for ${unique.length} destination path(s)`
+    );
+  }
+
+  return { folderId, hasFile, findFile, addFile, removeFile, prefetch };
+}
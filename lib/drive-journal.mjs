@@ -0,0 +1,240 @@
+import { appendFileSync, existsSync } from 'fs';
+import { readFile } from 'fs/promises';
+import { withRetry } from './retry.mjs';
+
+// Append-only JSONL journal of destructive Drive operations (trash, delete,
+// rename). Each line records the file ID, its name and parents before the
+// change, the action, the outcome and when it happened, grouped by run, so a
+// bad dedupe run can be reversed with `undoRun`. Undo operations are
+// journaled too, which keeps a second undo of the same run a no-op.
+//
+// An operation is journaled as `pending` before its request is sent and again
+// with its outcome once it settles, so one cut short by a crash is still on
+// record. Pending and failed ones (a request that timed out may still have
+// gone through) may have been applied; undo checks the file to find out.
+
+// Outcomes after which the change may be in Drive
+const POSSIBLY_APPLIED = ['success', 'pending', 'error'];
+
+// The last entry of each operation (not undo) in `entries`, in the order the
+// operations started
+function latestOperations(entries) {
+  const operations = new Map();
+  for (const entry of entries) {
+    if (entry.undoOf) continue;
+    operations.set(`${entry.runId}\n${entry.action}\n${entry.fileId}`, entry);
+  }
+  return [...operations.values()];
+}
+
+export async function openDriveJournal(filePath) {
+  const entries = [];
+
+  if (existsSync(filePath)) {
+    const content = await readFile(filePath, 'utf-8');
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch {
+        // A crash mid-append can leave a torn last line; skip it
+      }
+    }
+  }
+
+  const runId = new Date().toISOString();
+
+  function append(entry) {
+    entries.push(entry);
+    try {
+      appendFileSync(filePath, `${JSON.stringify(entry)}\n`);
+    } catch (err) {
+      console.error('Failed to write to Drive journal:', err);
+    }
+    return entry;
+  }
+
+  return {
+    filePath,
+    runId,
+
+    // `file` is { id, name, parents }; `fields` carries the action's details
+    // (status, newName, error, undoOf)
+    record(action, file, fields = {}) {
+      return append({
+        runId,
+        at: new Date().toISOString(),
+        action,
+        fileId: file.id,
+        name: file.name ?? null,
+        parents: file.parents ?? null,
+        ...fields,
+      });
+    },
+
+    // Journals an operation as pending before its request is sent; pass the
+    // result to settle() with the outcome
+    intend(action, file, fields = {}) {
+      return this.record(action, file, { ...fields, status: 'pending' });
+    },
+
+    settle(intent, fields) {
+      return append({ ...intent, at: new Date().toISOString(), ...fields });
+    },
+
+    // Runs that may have changed something, oldest first, with how many of
+    // their operations can be undone (trash, rename) and how many have been
+    runs() {
+      const runs = new Map();
+      const runFor = (id) => {
+        if (!runs.has(id)) runs.set(id, { runId: id, operations: 0, undoable: 0, undone: 0 });
+        return runs.get(id);
+      };
+      for (const entry of latestOperations(entries)) {
+        if (!POSSIBLY_APPLIED.includes(entry.status)) continue;
+        const run = runFor(entry.runId);
+        run.operations++;
+        if (entry.action !== 'delete') run.undoable++;
+      }
+      for (const entry of entries) {
+        if (entry.undoOf && entry.status === 'success') runFor(entry.undoOf).undone++;
+      }
+      return [...runs.values()].filter((run) => run.operations > 0);
+    },
+
+    entries(filterRunId) {
+      return entries.filter((entry) => !filterRunId || entry.runId === filterRunId);
+    },
+  };
+}
+
+function isNotFound(error) {
+  return (error.response?.status || error.status) === 404;
+}
+
+// Whether the file is still there (trashed or not)
+async function fileExists(drive, fileId) {
+  try {
+    await withRetry('drive', () =>
+      drive.files.get({ fileId, fields: 'id', supportsAllDrives: true })
+    );
+    return true;
+  } catch (error) {
+    if (isNotFound(error)) return false;
+    throw error;
+  }
+}
+
+async function isTrashed(drive, fileId) {
+  const current = await withRetry('drive', () =>
+    drive.files.get({ fileId, fields: 'trashed', supportsAllDrives: true })
+  );
+  return current.data.trashed === true;
+}
+
+// Reverses the operations of one run that may have gone through, newest
+// first: trashed files are restored and renames reverted. Permanently deleted
+// files cannot come back and are reported with their old name and folder.
+// Operations journaled as pending or failed are checked against the file's
+// current state first. Returns a list of { entry, result } where result is
+// restored, reverted, already-undone, not-applied, unrecoverable,
+// changed-since or error.
+export async function undoRun(drive, journal, runId, { dryRun = false } = {}) {
+  const undone = new Set(
+    journal
+      .entries()
+      .filter((entry) => entry.undoOf === runId && entry.status === 'success')
+      .map((entry) => `${entry.action}:${entry.fileId}`)
+  );
+  const operations = latestOperations(journal.entries(runId))
+    .filter((entry) => POSSIBLY_APPLIED.includes(entry.status))
+    .reverse();
+
+  const outcomes = [];
+  for (const entry of operations) {
+    const file = { id: entry.fileId, name: entry.name, parents: entry.parents };
+    const uncertain = entry.status !== 'success';
+    // An operation that turns out never to have happened is marked undone,
+    // so the run does not stay pending
+    const notApplied = (undoAction, fields = {}) => {
+      if (!dryRun) {
+        journal.record(undoAction, file, {
+          status: 'success',
+          undoOf: runId,
+          result: 'not-applied',
+          ...fields,
+        });
+      }
+      return 'not-applied';
+    };
+    let result;
+    let error = null;
+
+    try {
+      if (entry.action === 'delete') {
+        result =
+          uncertain && (await fileExists(drive, entry.fileId)) ? 'not-applied' : 'unrecoverable';
+      } else if (entry.action === 'trash') {
+        if (undone.has(`untrash:${entry.fileId}`)) {
+          result = 'already-undone';
+        } else if (uncertain && !(await isTrashed(drive, entry.fileId))) {
+          result = notApplied('untrash');
+        } else if (!dryRun) {
+          await withRetry('drive', () =>
+            drive.files.update({
+              fileId: entry.fileId,
+              resource: { trashed: false },
+              supportsAllDrives: true,
+            })
+          );
+          journal.record('untrash', file, { status: 'success', undoOf: runId });
+          result = 'restored';
+        } else {
+          result = 'restored';
+        }
+      } else if (entry.action === 'rename') {
+        if (undone.has(`unrename:${entry.fileId}`)) {
+          result = 'already-undone';
+        } else {
+          // Leave files alone that were renamed again after this run
+          const current = await withRetry('drive', () =>
+            drive.files.get({ fileId: entry.fileId, fields: 'name', supportsAllDrives: true })
+          );
+          if (uncertain && current.data.name === entry.name) {
+            result = notApplied('unrename', { newName: entry.name });
+          } else if (current.data.name !== entry.newName) {
+            result = 'changed-since';
+          } else {
+            if (!dryRun) {
+              await withRetry('drive', () =>
+                drive.files.update({
+                  fileId: entry.fileId,
+                  resource: { name: entry.name },
+                  supportsAllDrives: true,
+                })
+              );
+              journal.record(
+                'unrename',
+                { ...file, name: entry.newName },
+                {
+                  status: 'success',
+                  newName: entry.name,
+                  undoOf: runId,
+                }
+              );
+            }
+            result = 'reverted';
+          }
+        }
+      } else {
+        continue;
+      }
+    } catch (undoError) {
+      result = 'error';
+      error = undoError.message;
+      journal.record(`un${entry.action}`, file, { status: 'error', error, undoOf: runId });
+    }
+    outcomes.push({ entry, result, error });
+  }
+  return outcomes;
+}
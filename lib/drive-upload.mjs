@@ -0,0 +1,348 @@
+import { statSync } from 'fs';
+import { checksumMismatchError, createHasher } from './checksums.mjs';
+import { countRequest, incrementMetric } from './metrics.mjs';
+import { getRetryAttempts, withRetry } from './retry.mjs';
+
+// Chunked uploads over Drive's resumable upload protocol. The session URI is
+// handed to `onSession` as soon as it exists so the caller can persist it; a
+// restarted process passes it back as `session` and continues from the last
+// byte Drive acknowledged instead of starting over. The bytes come from an
+// upload source (lib/upload-source.mjs), a local file or an S3 object.
+//
+// The bytes are hashed as they are sent and compared with the md5Checksum
+// Drive reports for the finished file; on a mismatch the Drive copy is
+// deleted and the upload starts again (RETRY_CHECKSUM_ATTEMPTS, default 3).
+//
+//   DRIVE_CHUNK_SIZE_MB   chunk size, rounded to a multiple of 256KB (default 16)
+
+const UPLOAD_URL = 'https://www.googleapis.com/upload/drive/v3/files';
+const CHUNK_GRANULARITY = 256 * 1024;
+const CHUNK_SIZE =
+  Math.max(
+    1,
+    Math.round(
+      (parseFloat(process.env.DRIVE_CHUNK_SIZE_MB || '16') * 1024 * 1024) / CHUNK_GRANULARITY
+    )
+  ) * CHUNK_GRANULARITY;
+
+// google.drive({ auth }) keeps the auth client on its context
+function getAuthClient(drive) {
+  const auth = drive.context && drive.context._options && drive.context._options.auth;
+  if (!auth || typeof auth.request !== 'function') {
+    throw new Error('Drive client has no auth client for resumable uploads');
+  }
+  return auth;
+}
+
+function getHeader(response, name) {
+  const { headers } = response;
+  if (!headers) return null;
+  return typeof headers.get === 'function' ? headers.get(name) : headers[name.toLowerCase()];
+}
+
+// Drive answers 308 with `Range: bytes=0-<last>` for the bytes it has stored
+function nextOffsetFromRange(response) {
+  const range = getHeader(response, 'range');
+  const match = range && range.match(/bytes=0-(\d+)/);
+  return match ? parseInt(match[1], 10) + 1 : 0;
+}
+
+function driveStatusError(response, action) {
+  const error = new Error(`Drive ${action} failed with status ${response.status}`);
+  error.name = 'DriveUploadError';
+  error.response = { status: response.status };
+  return error;
+}
+
+async function startSession(auth, metadata, mimeType, size, fields) {
+  const response = await countRequest('drive', 'upload.start', () =>
+    auth.request({
+      url: UPLOAD_URL,
+      method: 'POST',
+      params: { uploadType: 'resumable', supportsAllDrives: true, fields },
+      headers: {
+        'Content-Type': 'application/json; charset=UTF-8',
+        'X-Upload-Content-Type': mimeType,
+        'X-Upload-Content-Length': String(size),
+      },
+      data: metadata,
+      responseType: 'text',
+    })
+  );
+  const sessionUri = getHeader(response, 'location');
+  if (!sessionUri) throw new Error('Drive did not return a resumable session URI');
+  return sessionUri;
+}
+
+// Asks Drive how far an existing session got. Returns { offset } for an open
+// session, { file } if it already completed, or null if it expired.
+async function querySession(auth, sessionUri, size) {
+  const response = await countRequest('drive', 'upload.status', () =>
+    auth.request({
+      url: sessionUri,
+      method: 'PUT',
+      headers: { 'Content-Range': `bytes */${size}`, 'Content-Length': '0' },
+      responseType: 'text',
+      validateStatus: (status) => status < 500 || status === 308,
+    })
+  );
+  if (response.status === 308) return { offset: nextOffsetFromRange(response) };
+  if (response.status === 200 || response.status === 201)
+    return { file: JSON.parse(response.data) };
+  if (response.status === 404 || response.status === 410) return null;
+  throw driveStatusError(response, 'session status check');
+}
+
+// Uploads one chunk read into `buffer`; returns { offset } while incomplete,
+// { file } at the end
+async function sendChunk(auth, sessionUri, buffer, offset, size) {
+  const { length } = buffer;
+  const response = await countRequest('drive', 'upload.chunk', () =>
+    auth.request({
+      url: sessionUri,
+      method: 'PUT',
+      headers: {
+        'Content-Length': String(length),
+        // An empty file is sent as a single empty chunk
+        'Content-Range':
+          length > 0 ? `bytes ${offset}-${offset + length - 1}/${size}` : `bytes */0`,
+      },
+      data: buffer,
+      responseType: 'text',
+      validateStatus: (status) => (status >= 200 && status < 300) || status === 308,
+    })
+  );
+  if (response.status === 308) return { offset: nextOffsetFromRange(response) };
+  return { file: JSON.parse(response.data) };
+}
+
+// A persisted session is only reusable for the very same local file
+export function canResumeSession(session, filePath) {
+  if (!session || !session.sessionUri || session.filePath !== filePath) return false;
+  try {
+    const stats = statSync(filePath);
+    return stats.size === session.size && stats.mtimeMs === session.mtimeMs;
+  } catch {
+    return false;
+  }
+}
+
+// Whether a stored session was started for the same bytes as `source`
+function matchesSession(session, source, folderId) {
+  if (!session || !session.sessionUri || session.folderId !== folderId) return false;
+  return Object.entries(source.session).every(([field, value]) => session[field] === value);
+}
+
+// Reads a source front to back, reopening it only when asked for bytes
+// elsewhere (a resumed session, or a chunk Drive took only part of)
+function createSourceReader(source) {
+  let iterator = null;
+  let position = 0;
+  let pending = Buffer.alloc(0);
+
+  async function close() {
+    const current = iterator;
+    iterator = null;
+    if (current) await current.return();
+  }
+
+  async function read(offset, length) {
+    if (length === 0) return Buffer.alloc(0);
+    if (!iterator || offset !== position) {
+      await close();
+      iterator = (await source.open(offset))[Symbol.asyncIterator]();
+      position = offset;
+      pending = Buffer.alloc(0);
+    }
+    const chunks = [pending];
+    let available = pending.length;
+    try {
+      while (available < length) {
+        const { value, done } = await iterator.next();
+        if (done) break;
+        chunks.push(value);
+        available += value.length;
+      }
+    } catch (readError) {
+      iterator = null;
+      throw readError;
+    }
+    const bytes = Buffer.concat(chunks);
+    if (bytes.length < length) {
+      iterator = null;
+      throw new Error(`${source.label} ended at byte ${position + bytes.length} of ${source.size}`);
+    }
+    pending = bytes.subarray(length);
+    position += length;
+    return bytes.subarray(0, length);
+  }
+
+  return { read, close };
+}
+
+// `source` comes from lib/upload-source.mjs. With `checksums.md5` (known
+// before the upload, e.g. for an object read from S3) Drive's md5Checksum is
+// compared with it rather than with the bytes that were read.
+export async function resumableUpload(
+  drive,
+  source,
+  folderId,
+  {
+    mimeType = 'video/mp4',
+    fields = 'id,webViewLink',
+    checksums = null,
+    session = null,
+    onSession,
+  } = {}
+) {
+  const auth = getAuthClient(drive);
+  const requestFields = fields.split(',').includes('md5Checksum')
+    ? fields
+    : `${fields},md5Checksum`;
+  const attempts = getRetryAttempts('checksum');
+
+  for (let attempt = 1; ; attempt++) {
+    const { file, md5: uploadedMd5 } = await uploadOnce(auth, source, folderId, {
+      mimeType,
+      fields: requestFields,
+      session,
+      onSession,
+    });
+    const md5 = checksums?.md5 || uploadedMd5;
+    if (!file.md5Checksum) {
+      console.log(`⚠️ Google Drive reported no md5Checksum for ${file.id}; not verified`);
+      return file;
+    }
+    if (file.md5Checksum === md5) {
+      console.log(`🔒 Google Drive upload verified (md5 ${md5})`);
+      return file;
+    }
+
+    const error = checksumMismatchError(
+      `Google Drive md5 ${file.md5Checksum} of ${source.name} does not match expected md5 ${md5}`
+    );
+    console.error(`❌ ${error.message}`);
+    await withRetry('drive', () =>
+      drive.files.delete({ fileId: file.id, supportsAllDrives: true })
+    );
+    // The stored session points at the deleted file
+    session = null;
+    if (onSession) await onSession(null);
+    if (attempt >= attempts) {
+      error.attempts = attempt;
+      throw error;
+    }
+    console.log(`🔁 Re-uploading to Google Drive (attempt ${attempt + 1}/${attempts})`);
+  }
+}
+
+// One pass of the resumable protocol; returns Drive's file resource and the
+// md5 of the bytes that make it up
+async function uploadOnce(auth, source, folderId, { mimeType, fields, session, onSession }) {
+  const { size } = source;
+  const metadata = { name: source.name, parents: [folderId] };
+
+  const reader = createSourceReader(source);
+  try {
+    const hasher = createHasher();
+    let hashedBytes = 0;
+    // Bytes Drive got in an earlier run (or before a retry moved the offset)
+    // are read again so the digest always covers the whole file
+    const hashThrough = async (end) => {
+      while (hashedBytes < end) {
+        const buffer = await reader.read(hashedBytes, Math.min(CHUNK_SIZE, end - hashedBytes));
+        hasher.update(buffer);
+        hashedBytes += buffer.length;
+      }
+    };
+    const finish = async (file) => {
+      await hashThrough(size);
+      return { file, md5: hasher.digest().md5 };
+    };
+
+    let sessionUri = null;
+    let offset = 0;
+
+    if (matchesSession(session, source, folderId)) {
+      const status = await withRetry('drive', () => querySession(auth, session.sessionUri, size));
+      if (status && status.file) {
+        console.log(`✅ Google Drive upload had already completed: ${metadata.name}`);
+        return finish(status.file);
+      }
+      if (status) {
+        sessionUri = session.sessionUri;
+        offset = status.offset;
+        console.log(
+          `⏯️ Resuming Google Drive upload at ${(offset / (1024 * 1024)).toFixed(1)}MB of ${(
+            size /
+            (1024 * 1024)
+          ).toFixed(1)}MB`
+        );
+      } else {
+        console.log('⚠️ Stored Google Drive upload session expired, starting over');
+      }
+    }
+
+    if (!sessionUri) {
+      sessionUri = await withRetry('drive', () =>
+        startSession(auth, metadata, mimeType, size, fields)
+      );
+      if (onSession) {
+        await onSession({
+          sessionUri,
+          ...source.session,
+          folderId,
+          startedAt: new Date().toISOString(),
+        });
+      }
+    }
+
+    let lastLogTime = 0;
+    const logInterval = 500; // Update every 500ms
+    for (;;) {
+      const { result, chunkOffset, buffer } = await withRetry('drive', async (attempt) => {
+        // After a failed chunk, ask Drive what it actually stored
+        if (attempt > 1) {
+          const status = await querySession(auth, sessionUri, size);
+          if (!status) throw new Error('Google Drive upload session expired');
+          if (status.file) return { result: status, chunkOffset: size, buffer: Buffer.alloc(0) };
+          offset = status.offset;
+        }
+        await hashThrough(offset);
+        const buffer = await reader.read(offset, Math.min(CHUNK_SIZE, size - offset));
+        const result = await sendChunk(auth, sessionUri, buffer, offset, size);
+        return { result, chunkOffset: offset, buffer };
+      });
+
+      // Hash whatever part of this chunk Drive acknowledged and we have not seen
+      const acknowledged = result.file ? size : result.offset;
+      if (acknowledged > offset) {
+        incrementMetric('uploaded_bytes_total', { target: 'drive' }, acknowledged - offset);
+      }
+      if (acknowledged > hashedBytes && chunkOffset <= hashedBytes) {
+        const end = Math.min(acknowledged, chunkOffset + buffer.length);
+        hasher.update(buffer.subarray(hashedBytes - chunkOffset, end - chunkOffset));
+        hashedBytes = end;
+      }
+
+      if (result.file) {
+        process.stdout.write(
+          `\r✅ Drive Upload complete: ${(size / (1024 * 1024)).toFixed(1)}MB total\n`
+        );
+        return finish(result.file);
+      }
+      offset = result.offset;
+
+      const currentTime = Date.now();
+      if (currentTime - lastLogTime >= logInterval) {
+        const progress = ((offset / size) * 100).toFixed(1);
+        const uploaded = (offset / (1024 * 1024)).toFixed(1);
+        const total = (size / (1024 * 1024)).toFixed(1);
+        process.stdout.write(`\r⬆️ Drive Upload: ${progress}% (${uploaded}MB / ${total}MB)`);
+        lastLogTime = currentTime;
+      }
+    }
+  } finally {
+    await reader.close();
+  }
+}
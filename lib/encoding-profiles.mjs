@@ -0,0 +1,110 @@
+import { existsSync, readFileSync } from 'fs';
+import { readFile } from 'fs/promises';
+import { parseVdrKey } from './vdr-key.mjs';
+
+// Named encoding profiles (see encoding-profiles.json). Each profile caps
+// resolution and frame rate, sets the GOP, and has rate control and preset for
+// both encoder paths: `cpu` (libx264) and `nvenc` (h264_nvenc). Without a
+// profile ffmpeg's defaults apply, as before profiles existed.
+export const ENCODING_PROFILES_FILE =
+  process.env.ENCODING_PROFILES_FILE || 'encoding-profiles.json';
+
+export async function loadEncodingProfiles(filePath = ENCODING_PROFILES_FILE) {
+  if (!existsSync(filePath)) {
+    return { defaultProfile: null, cameraProfiles: {}, profiles: {} };
+  }
+
+  const config = JSON.parse(await readFile(filePath, 'utf-8'));
+  config.profiles = config.profiles || {};
+  config.cameraProfiles = config.cameraProfiles || {};
+
+  const referenced = [config.defaultProfile, ...Object.values(config.cameraProfiles)];
+  for (const name of referenced) {
+    if (name && !config.profiles[name]) {
+      throw new Error(`Unknown encoding profile "${name}" in ${filePath}`);
+    }
+  }
+  console.log(
+    `🎛️ Loaded encoding profiles from ${filePath}: ${Object.keys(config.profiles).join(', ')}`
+  );
+  return config;
+}
+
+// Names of the profiles in the file, so the CLI can check --profile up front
+export function encodingProfileNames(filePath = ENCODING_PROFILES_FILE) {
+  if (!existsSync(filePath)) return [];
+  return Object.keys(JSON.parse(readFileSync(filePath, 'utf-8')).profiles || {});
+}
+
+// The run's profile (--profile or ENCODING_PROFILE) wins, then the camera's entry in
+// cameraProfiles, then defaultProfile. Returns null for ffmpeg defaults.
+export function selectProfile(config, key, runProfileName) {
+  if (runProfileName) {
+    if (!config.profiles[runProfileName]) {
+      throw new Error(`Unknown encoding profile "${runProfileName}"`);
+    }
+    return { name: runProfileName, ...config.profiles[runProfileName] };
+  }
+
+  const { camera } = parseVdrKey(key);
+  const name = (camera && config.cameraProfiles[camera]) || config.defaultProfile;
+  return name ? { name, ...config.profiles[name] } : null;
+}
+
+// ffmpeg bitrate strings (`3M`, `700k`) to bits per second
+function parseBitrate(value) {
+  if (!value) return null;
+  const match = String(value).match(/^(\d+(?:\.\d+)?)([kKmMgG]?)$/);
+  if (!match) return null;
+  const multiplier = { '': 1, k: 1e3, m: 1e6, g: 1e9 }[match[2].toLowerCase()];
+  return parseFloat(match[1]) * multiplier;
+}
+
+// An input that is already H.264 can only be copied if it also fits inside
+// the profile's resolution, frame-rate and bitrate caps
+export function profileAllowsRemux(profile, probe) {
+  if (!profile) return true;
+  if (profile.allowRemux === false) return false;
+  const { video } = probe;
+  if (profile.maxHeight && video.height > profile.maxHeight) return false;
+  if (profile.fps && video.fps && video.fps > profile.fps + 0.5) return false;
+
+  const maxBitrate = parseBitrate(
+    (profile.cpu || {}).maxBitrate || (profile.nvenc || {}).maxBitrate
+  );
+  const inputBitrate = video.bitrate || probe.bitrate;
+  if (maxBitrate && inputBitrate && inputBitrate > maxBitrate) return false;
+  return true;
+}
+
+// Output options for one encoder path of a profile. `useCPU` picks the `cpu`
+// or `nvenc` settings; the codec falls back to libx264/h264_nvenc.
+export function profileEncoderArgs(profile, useCPU, probe) {
+  const settings = (useCPU ? profile.cpu : profile.nvenc) || {};
+  const encoder = settings.codec || (useCPU ? 'libx264' : 'h264_nvenc');
+  const args = ['-c:v', encoder];
+
+  if (settings.preset) args.push('-preset', settings.preset);
+  if (settings.rateControl) args.push('-rc', settings.rateControl);
+  if (settings.crf !== undefined && settings.crf !== null) args.push('-crf', String(settings.crf));
+  if (settings.cq !== undefined && settings.cq !== null) args.push('-cq', String(settings.cq));
+  if (settings.bitrate) args.push('-b:v', settings.bitrate);
+  if (settings.maxBitrate) args.push('-maxrate', settings.maxBitrate);
+  if (settings.bufferSize) args.push('-bufsize', settings.bufferSize);
+  if (profile.gop) args.push('-g', String(profile.gop));
+
+  // Only scale or drop frames when the input exceeds the caps
+  const filters = [];
+  if (profile.maxHeight && probe.video.height > profile.maxHeight) {
+    filters.push(`scale=-2:${profile.maxHeight}`);
+  }
+  if (profile.fps && probe.video.fps && probe.video.fps > profile.fps + 0.5) {
+    filters.push(`fps=${profile.fps}`);
+  }
+  if (filters.length > 0) args.push('-vf', filters.join(','));
+
+  // Players (and Drive's previewer) expect 4:2:0
+  args.push('-pix_fmt', 'yuv420p');
+
+  return { encoder, args };
+}
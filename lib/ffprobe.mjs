@@ -0,0 +1,98 @@
+import { spawn } from 'child_process';
+
+// Runs ffprobe on a local file and summarizes what the transcode step needs:
+// container, duration, overall bitrate, the first video stream and all audio
+// streams. The raw ffprobe streams are kept for stream-count checks.
+// With `input` (a Buffer) the bytes are piped to ffprobe and `filePath` is
+// only used in messages.
+export function probeMedia(filePath, { input = null } = {}) {
+  return new Promise((resolve, reject) => {
+    const args = [
+      '-v',
+      'error',
+      '-print_format',
+      'json',
+      '-show_format',
+      '-show_streams',
+      input ? 'pipe:0' : filePath,
+    ];
+    const ffprobeProcess = spawn('ffprobe', args);
+    let stdout = '';
+    let stderr = '';
+
+    if (input) {
+      // ffprobe stops reading once it has seen enough
+      ffprobeProcess.stdin.on('error', () => {});
+      ffprobeProcess.stdin.end(input);
+    }
+
+    ffprobeProcess.stdout.on('data', (data) => (stdout += data));
+    ffprobeProcess.stderr.on('data', (data) => (stderr += data));
+    ffprobeProcess.on('error', reject);
+
+    ffprobeProcess.on('close', (code) => {
+      if (code !== 0) {
+        const error = new Error(
+          `ffprobe exited with code ${code}: ${input ? `${filePath}: ` : ''}${stderr.trim()}`
+        );
+        error.name = 'FFprobeError';
+        error.exitCode = code;
+        error.retryable = false;
+        reject(error);
+        return;
+      }
+      try {
+        resolve(summarizeProbe(JSON.parse(stdout)));
+      } catch (error) {
+        reject(error);
+      }
+    });
+  });
+}
+
+function parseFrameRate(value) {
+  if (!value || value === '0/0') return null;
+  const [num, den] = value.split('/').map(Number);
+  return den ? num / den : num;
+}
+
+function toNumber(value) {
+  const number = parseFloat(value);
+  return isNaN(number) ? null : number;
+}
+
+export function summarizeProbe(data) {
+  const format = data.format || {};
+  const streams = data.streams || [];
+
+  const videoStream = streams.find(
+    (stream) =>
+      stream.codec_type === 'video' && !(stream.disposition && stream.disposition.attached_pic)
+  );
+  const audioStreams = streams.filter((stream) => stream.codec_type === 'audio');
+
+  return {
+    container: format.format_name || null,
+    duration: toNumber(format.duration) || (videoStream && toNumber(videoStream.duration)),
+    bitrate: toNumber(format.bit_rate),
+    size: toNumber(format.size),
+    video: videoStream
+      ? {
+          index: videoStream.index,
+          codec: videoStream.codec_name,
+          width: videoStream.width,
+          height: videoStream.height,
+          fps:
+            parseFrameRate(videoStream.avg_frame_rate) || parseFrameRate(videoStream.r_frame_rate),
+          bitrate: toNumber(videoStream.bit_rate),
+          pixelFormat: videoStream.pix_fmt || null,
+        }
+      : null,
+    audio: audioStreams.map((stream) => ({
+      index: stream.index,
+      codec: stream.codec_name,
+      channels: stream.channels,
+    })),
+    streams,
+  };
+}
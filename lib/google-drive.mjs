@@ -0,0 +1,151 @@
+import { fileTypeFromFile } from 'file-type';
+import { google } from 'googleapis';
+import { createDriveAuth, driveAuthError } from './drive-auth.mjs';
+import { resumableUpload } from './drive-upload.mjs';
+import { withRetry } from './retry.mjs';
+
+// Google Drive access shared by every command: authorizing, checking the
+// destination folder, recursive listings and uploads.
+
+// Throws a DriveAuthError when no working credentials are configured (see
+// lib/drive-auth.mjs)
+export async function setupGoogleDrive(env = process.env) {
+  const auth = await createDriveAuth(env);
+  return google.drive({ version: 'v3', auth });
+}
+
+// Authorizes and checks the destination folder. Drive problems stop the run
+// here rather than quietly turning uploads off.
+export async function connectGoogleDrive(folderId) {
+  const drive = await setupGoogleDrive();
+  console.log('✅ Google Drive API initialized successfully');
+
+  if (!(await verifyGoogleDriveFolder(drive, folderId))) {
+    throw driveAuthError(`Cannot access Google Drive folder ${folderId}`);
+  }
+  return drive;
+}
+
+export async function verifyGoogleDriveFolder(drive, folderId) {
+  try {
+    const response1 = await drive.files.list({
+      q: `'${folderId}' in parents and trashed=false`,
+      fields: 'files(id, name, mimeType, parents)',
+      supportsAllDrives: true,
+      includeItemsFromAllDrives: true,
+    });
+    console.log(response1.data.files);
+
+    // Use files.get instead of drives.get
+    const response = await drive.files.get({
+      fileId: folderId,
+      fields: 'name,id,mimeType',
+      supportsAllDrives: true,
+    });
+
+    // Check if it's actually a folder
+    if (response.data.mimeType !== 'application/vnd.google-apps.folder') {
+      console.error(`The ID ${folderId} is not a folder. It's a ${response.data.mimeType}`);
+      return false;
+    }
+
+    console.log(`✅ Google Drive folder verified: ${response.data.name} (${response.data.id})`);
+    return true;
+  } catch (error) {
+    console.error(`❌ Error verifying Google Drive folder: ${error.message}`);
+
+    if (error.message.includes('insufficient permission')) {
+      console.error(`The service account doesn't have permission to access this folder.`);
+      console.error(`Please share the folder with your service account email.`);
+    }
+
+    return false;
+  }
+}
+
+// Helper function to get folder name from ID
+export async function getParentFolderName(drive, folderId) {
+  try {
+    const response = await drive.files.get({
+      fileId: folderId,
+      fields: 'name',
+      supportsAllDrives: true,
+    });
+    return response.data.name;
+  } catch (error) {
+    return `Unknown Folder (${folderId})`;
+  }
+}
+
+// Helper function to get all files in a folder and its subfolders. Each file
+// gets a `folderPath` relative to the folder the scan started from.
+export async function getAllFilesInFolder(drive, folderId, folderPath = '') {
+  let allFiles = [];
+  let pageToken = null;
+
+  // A failed listing throws: callers such as the audit would take whatever
+  // was not listed for missing files
+  do {
+    // Get files in current folder
+    const response = await withRetry('drive', () =>
+      drive.files.list({
+        q: `'${folderId}' in parents and trashed=false`,
+        fields:
+          'nextPageToken, files(id, name, mimeType, parents, size, md5Checksum, createdTime, modifiedTime)',
+        pageToken: pageToken,
+        pageSize: 1000,
+        supportsAllDrives: true,
+        includeItemsFromAllDrives: true,
+      })
+    );
+
+    // Process response
+    const files = response.data.files || [];
+    pageToken = response.data.nextPageToken;
+
+    // Add files to our list and recursively process subfolders
+    for (const file of files) {
+      if (file.mimeType === 'application/vnd.google-apps.folder') {
+        // Recursively get files from subfolder
+        const subfolderFiles = await getAllFilesInFolder(
+          drive,
+          file.id,
+          folderPath ? `${folderPath}/${file.name}` : file.name
+        );
+        allFiles = allFiles.concat(subfolderFiles);
+      } else {
+        // Add file to our list
+        allFiles.push({ ...file, folderPath });
+      }
+    }
+  } while (pageToken);
+
+  return allFiles;
+}
+
+// Errors propagate so the caller can retry the upload and record the failure.
+// `session`/`onSession` persist the resumable upload session across restarts;
+// without a `mimeType` it is detected from a local file's contents.
+export async function uploadToGoogleDrive(
+  drive,
+  source,
+  folderId,
+  { mimeType, checksums, session, onSession } = {}
+) {
+  if (!drive) return null;
+
+  if (!mimeType) {
+    const fileType = source.filePath && (await fileTypeFromFile(source.filePath));
+    mimeType = fileType?.mime || 'video/mp4'; // fallback to video/mp4 if detection fails
+  }
+
+  const file = await resumableUpload(drive, source, folderId, {
+    mimeType,
+    checksums,
+    session,
+    onSession,
+  });
+
+  console.log(`✅ Uploaded to Google Drive: ${file.webViewLink}`);
+  return file;
+}
@@ -0,0 +1,137 @@
+import { paginateListObjectsV2 } from '@aws-sdk/client-s3';
+import { readFile } from 'fs/promises';
+import { parseVdrKey } from './vdr-key.mjs';
+
+// Input keys come either from a comma-separated list file (id_list.txt) or,
+// when INPUT_PREFIXES is set, from a ListObjectsV2 walk under those prefixes.
+// Either way the FILTER_* settings narrow the set, and `_converted.mp4`
+// outputs are never treated as inputs.
+//
+//   INPUT_PREFIXES         comma-separated S3 prefixes to list
+//   INPUT_FILE             list file when not listing (default id_list.txt)
+//   FILTER_ORG             comma-separated organizations
+//   FILTER_SITE            comma-separated sites, full segment or the name after `__`
+//   FILTER_VDR             comma-separated VDRs (`1511` or `vdr-1511`)
+//   FILTER_CAMERA          comma-separated cameras (`1008` or `camera-1008`)
+//   FILTER_EXTENSIONS      comma-separated extensions, e.g. `avi,mkv`
+//   FILTER_RECORDED_FROM   earliest recording start, `yyyy-MM-dd` or ISO time (inclusive)
+//   FILTER_RECORDED_TO     latest recording start, `yyyy-MM-dd` (whole day) or ISO time
+export async function loadInputKeys(client, bucket, env = process.env) {
+  const filters = parseFilters(env);
+  let keys;
+
+  if (env.INPUT_PREFIXES) {
+    const prefixes = splitList(env.INPUT_PREFIXES);
+    keys = [];
+    for (const prefix of prefixes) {
+      console.log(`📄 Listing s3://${bucket}/${prefix}`);
+      const prefixKeys = await listKeys(client, bucket, prefix);
+      console.log(`📄 Found ${prefixKeys.length} objects under ${prefix}`);
+      keys.push(...prefixKeys);
+    }
+    // Overlapping prefixes must not queue a key twice
+    keys = [...new Set(keys)];
+  } else {
+    const inputFile = env.INPUT_FILE || 'id_list.txt';
+    console.log(`📄 Reading file list: ${inputFile}`);
+    const fileContent = await readFile(inputFile, 'utf-8');
+    keys = fileContent
+      .split(',')
+      .map((id) => id.trim())
+      .filter((id) => id.length > 0);
+  }
+
+  const filtered = keys.filter((key) => matchesFilters(key, filters));
+  if (filtered.length !== keys.length) {
+    console.log(`🔎 Filters kept ${filtered.length} of ${keys.length} keys`);
+  }
+  return filtered;
+}
+
+async function listKeys(client, bucket, prefix) {
+  const keys = [];
+  const paginator = paginateListObjectsV2({ client }, { Bucket: bucket, Prefix: prefix });
+  for await (const page of paginator) {
+    for (const object of page.Contents || []) {
+      // Skip "folder" placeholder objects
+      if (!object.Key.endsWith('/')) keys.push(object.Key);
+    }
+  }
+  return keys;
+}
+
+function splitList(value) {
+  return (value || '')
+    .split(',')
+    .map((item) => item.trim())
+    .filter((item) => item.length > 0);
+}
+
+const DATE_FILTERS = ['FILTER_RECORDED_FROM', 'FILTER_RECORDED_TO'];
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+function toDate(value) {
+  return new Date(DATE_ONLY.test(value) ? `${value}T00:00:00Z` : value);
+}
+
+// The FILTER_RECORDED_* settings in `env` that are not dates, so a bad one
+// can be refused before the run starts
+export function invalidDateFilters(env) {
+  return DATE_FILTERS.filter((name) => env[name] && isNaN(toDate(env[name]).getTime()));
+}
+
+function parseDate(value, endOfDay) {
+  if (!value) return null;
+  const dateOnly = DATE_ONLY.test(value);
+  const date = toDate(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid date filter: ${value}`);
+  }
+  if (dateOnly && endOfDay) {
+    date.setUTCDate(date.getUTCDate() + 1);
+    date.setUTCMilliseconds(-1);
+  }
+  return date;
+}
+
+function withPrefix(prefix, values) {
+  return values.map((value) => (value.startsWith(prefix) ? value : `${prefix}${value}`));
+}
+
+function parseFilters(env) {
+  return {
+    orgs: splitList(env.FILTER_ORG),
+    sites: splitList(env.FILTER_SITE),
+    vdrs: withPrefix('vdr-', splitList(env.FILTER_VDR)),
+    cameras: withPrefix('camera-', splitList(env.FILTER_CAMERA)),
+    extensions: splitList(env.FILTER_EXTENSIONS).map((ext) => ext.replace(/^\./, '').toLowerCase()),
+    recordedFrom: parseDate(env.FILTER_RECORDED_FROM, false),
+    recordedTo: parseDate(env.FILTER_RECORDED_TO, true),
+  };
+}
+
+function matchesFilters(key, filters) {
+  if (key.endsWith('_converted.mp4')) return false;
+
+  const record = parseVdrKey(key);
+  if (filters.orgs.length > 0 && !filters.orgs.includes(record.org)) return false;
+  if (
+    filters.sites.length > 0 &&
+    !filters.sites.some(
+      (site) => site === record.site || (record.site && record.site.endsWith(`__${site}`))
+    )
+  ) {
+    return false;
+  }
+  if (filters.vdrs.length > 0 && !filters.vdrs.includes(record.vdr)) return false;
+  if (filters.cameras.length > 0 && !filters.cameras.includes(record.camera)) return false;
+  if (filters.extensions.length > 0 && !filters.extensions.includes(record.extension)) {
+    return false;
+  }
+  if (filters.recordedFrom || filters.recordedTo) {
+    if (!record.recordedAt) return false;
+    if (filters.recordedFrom && record.recordedAt < filters.recordedFrom) return false;
+    if (filters.recordedTo && record.recordedAt > filters.recordedTo) return false;
+  }
+  return true;
+}
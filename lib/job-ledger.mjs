@@ -0,0 +1,149 @@
+import { appendFileSync, existsSync } from 'fs';
+import { readFile } from 'fs/promises';
+
+// Per-key job ledger stored as JSONL. Every change is appended as a partial
+// record; replaying the file in order (later lines win) rebuilds the current
+// state of each key, so a crash never loses more than the line being written.
+export const STAGES = [
+  'queued',
+  'downloading',
+  'transcoding',
+  'uploading',
+  'done',
+  'failed',
+  'quarantined',
+  'interrupted',
+];
+
+export async function openLedger(filePath) {
+  const records = new Map();
+
+  if (existsSync(filePath)) {
+    const content = await readFile(filePath, 'utf-8');
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line);
+        records.set(entry.key, { ...records.get(entry.key), ...entry });
+      } catch {
+        // A crash mid-append can leave a torn last line; skip it
+      }
+    }
+    console.log(`📒 Loaded job ledger: ${filePath} (${records.size} keys)`);
+  } else {
+    console.log(`📒 Created job ledger: ${filePath}`);
+  }
+
+  function write(key, fields) {
+    const entry = { key, ...fields, updatedAt: new Date().toISOString() };
+    const record = { ...records.get(key), ...entry };
+    records.set(key, record);
+    try {
+      appendFileSync(filePath, `${JSON.stringify(entry)}\n`);
+    } catch (err) {
+      console.error('Failed to write to job ledger:', err);
+    }
+    return record;
+  }
+
+  return {
+    filePath,
+
+    get(key) {
+      return records.get(key);
+    },
+
+    // Current state of every key
+    records() {
+      return [...records.values()];
+    },
+
+    isDone(key) {
+      return records.get(key)?.stage === 'done';
+    },
+
+    // 'done', 'quarantined' or 'failed' (with a permanent error) once another
+    // attempt would not change how the key ends up; null before that
+    finalStage(key) {
+      const record = records.get(key);
+      if (record?.stage === 'done' || record?.stage === 'quarantined') return record.stage;
+      if (record?.stage === 'failed' && record.retryable === false) return 'failed';
+      return null;
+    },
+
+    // Only keys without any record are marked queued, so re-running a large
+    // list does not rewrite thousands of lines
+    queue(key) {
+      if (records.has(key)) return records.get(key);
+      return write(key, { stage: 'queued', queuedAt: new Date().toISOString() });
+    },
+
+    start(key) {
+      const attempts = (records.get(key)?.attempts || 0) + 1;
+      return write(key, {
+        attempts,
+        startedAt: new Date().toISOString(),
+        errorClass: null,
+        errorMessage: null,
+        retryable: null,
+      });
+    },
+
+    setStage(key, stage, fields = {}) {
+      return write(key, { ...fields, stage });
+    },
+
+    setOutputs(key, outputs) {
+      return write(key, { outputs: { ...records.get(key)?.outputs, ...outputs } });
+    },
+
+    complete(key, fields = {}) {
+      return write(key, { ...fields, stage: 'done', finishedAt: new Date().toISOString() });
+    },
+
+    fail(key, error, fields = {}) {
+      console.error(`❌ Marked failed in ledger: ${key}`);
+      return write(key, {
+        ...fields,
+        stage: 'failed',
+        failedStage: records.get(key)?.stage,
+        errorClass: error.name || 'Error',
+        errorMessage: error.message || String(error),
+        retryable: typeof error.retryable === 'boolean' ? error.retryable : null,
+        finishedAt: new Date().toISOString(),
+      });
+    },
+
+    // The run was shut down while the key was in progress; `interruptedStage`
+    // says where it stopped. Like a failed key, it is picked up again by the
+    // next run.
+    interrupt(key, fields = {}) {
+      console.log(`⏹️ Marked interrupted in ledger: ${key}`);
+      const record = records.get(key);
+      return write(key, {
+        ...fields,
+        stage: 'interrupted',
+        interruptedStage: record?.stage === 'failed' ? record.failedStage : record?.stage,
+        finishedAt: new Date().toISOString(),
+      });
+    },
+
+    // For a forced exit: every key still downloading, transcoding or
+    // uploading is marked interrupted where it stands
+    interruptInProgress() {
+      for (const record of records.values()) {
+        if (['downloading', 'transcoding', 'uploading'].includes(record.stage)) {
+          this.interrupt(record.key);
+        }
+      }
+    },
+
+    summary() {
+      const counts = {};
+      for (const record of records.values()) {
+        counts[record.stage] = (counts[record.stage] || 0) + 1;
+      }
+      return counts;
+    },
+  };
+}
@@ -0,0 +1,96 @@
+import { createHash, randomUUID } from 'crypto';
+import { mkdir, readFile, rename, rmdir, stat, unlink, writeFile } from 'fs/promises';
+import * as path from 'path';
+
+// Lease store in a directory that every instance can reach (e.g. an NFS
+// mount). One file per key, named after the key's SHA-1, holding the record
+// and a random token. Changes to a lease happen while holding a lock
+// directory next to it (mkdir either creates it or fails, atomically), and
+// files are written under a temporary name and renamed into place, so
+// readers never see half a record.
+
+// A lock this old was left behind by a crashed instance
+const STALE_LOCK_MS = 30 * 1000;
+
+export function createLocalLeaseStore(directory) {
+  const ready = mkdir(directory, { recursive: true });
+
+  function leasePath(key) {
+    return path.join(directory, `${createHash('sha1').update(key).digest('hex')}.lease`);
+  }
+
+  async function withLock(filePath, fn) {
+    await ready;
+    const lockPath = `${filePath}.lock`;
+    for (;;) {
+      try {
+        await mkdir(lockPath);
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+      const lockStats = await stat(lockPath).catch(() => null);
+      if (lockStats && Date.now() - lockStats.mtimeMs > STALE_LOCK_MS) {
+        await rmdir(lockPath).catch(() => {});
+      } else {
+        await new Promise((resolve) => setTimeout(resolve, 10 + Math.random() * 40));
+      }
+    }
+    try {
+      return await fn();
+    } finally {
+      await rmdir(lockPath).catch(() => {});
+    }
+  }
+
+  async function readRecord(filePath) {
+    try {
+      return JSON.parse(await readFile(filePath, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Writes the record with a new token and returns the token
+  async function write(filePath, record) {
+    const token = randomUUID();
+    const tempPath = `${filePath}.${token}.tmp`;
+    await writeFile(tempPath, JSON.stringify({ ...record, token }));
+    await rename(tempPath, filePath);
+    return token;
+  }
+
+  return {
+    label: directory,
+
+    create(key, record) {
+      const filePath = leasePath(key);
+      return withLock(filePath, async () =>
+        (await readRecord(filePath)) ? null : write(filePath, record)
+      );
+    },
+
+    async read(key) {
+      await ready;
+      const record = await readRecord(leasePath(key));
+      return record && { record, token: record.token };
+    },
+
+    replace(key, record, token) {
+      const filePath = leasePath(key);
+      return withLock(filePath, async () =>
+        (await readRecord(filePath))?.token === token ? write(filePath, record) : null
+      );
+    },
+
+    remove(key, token) {
+      const filePath = leasePath(key);
+      return withLock(filePath, async () => {
+        if ((await readRecord(filePath))?.token !== token) return false;
+        await unlink(filePath);
+        return true;
+      });
+    },
+  };
+}
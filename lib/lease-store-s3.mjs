@@ -0,0 +1,94 @@
+import { DeleteObjectCommand, GetObjectCommand, PutObjectCommand } from '@aws-sdk/client-s3';
+import { withRetry } from './retry.mjs';
+
+// Lease store in S3: one object per key under `prefix`, written with
+// conditional requests (If-None-Match to create, If-Match to replace or
+// delete) so two instances can never both think they hold a key. The
+// object's ETag is its token.
+
+// S3 answers a failed condition with 412, or 409 when two conditional writes race
+function isConflict(error) {
+  const status = error.$metadata?.httpStatusCode;
+  return (
+    ['PreconditionFailed', 'ConditionalRequestConflict', 'NoSuchKey', 'NotFound'].includes(
+      error.name
+    ) || [404, 409, 412].includes(status)
+  );
+}
+
+export function createS3LeaseStore(client, bucket, prefix = '') {
+  const root = prefix.replace(/^\/+/, '');
+
+  function keyFor(key) {
+    return `${root}${key}.lease`;
+  }
+
+  async function put(key, record, condition) {
+    const body = JSON.stringify(record);
+    let retried = false;
+    try {
+      const { ETag } = await withRetry(
+        'lease',
+        () =>
+          client.send(
+            new PutObjectCommand({
+              Bucket: bucket,
+              Key: keyFor(key),
+              Body: body,
+              ContentType: 'application/json',
+              ...condition,
+            })
+          ),
+        { onRetry: () => (retried = true) }
+      );
+      return ETag;
+    } catch (error) {
+      if (!isConflict(error)) throw error;
+      // An earlier attempt may have been written with its response lost, and
+      // its own write is what fails the retry's condition
+      if (retried) {
+        const current = await read(key);
+        if (current && JSON.stringify(current.record) === body) return current.token;
+      }
+      return null;
+    }
+  }
+
+  async function read(key) {
+    try {
+      return await withRetry('lease', async () => {
+        const { Body, ETag } = await client.send(
+          new GetObjectCommand({ Bucket: bucket, Key: keyFor(key) })
+        );
+        const chunks = [];
+        for await (const chunk of Body) chunks.push(chunk);
+        return { record: JSON.parse(Buffer.concat(chunks).toString('utf-8')), token: ETag };
+      });
+    } catch (error) {
+      if (error.name === 'NoSuchKey') return null;
+      throw error;
+    }
+  }
+
+  return {
+    label: `s3://${bucket}/${root}`,
+
+    create: (key, record) => put(key, record, { IfNoneMatch: '*' }),
+
+    read,
+
+    replace: (key, record, token) => put(key, record, { IfMatch: token }),
+
+    async remove(key, token) {
+      try {
+        await withRetry('lease', () =>
+          client.send(new DeleteObjectCommand({ Bucket: bucket, Key: keyFor(key), IfMatch: token }))
+        );
+        return true;
+      } catch (error) {
+        if (isConflict(error)) return false;
+        throw error;
+      }
+    },
+  };
+}
@@ -0,0 +1,244 @@
+import http from 'http';
+
+// Prometheus metrics and health for long-running instances. Everything is
+// counted in-process whether or not a server runs; `--metrics-port` (or
+// METRICS_PORT) serves them on /metrics, and /healthz answers 503 while an
+// ffmpeg process or a download has made no progress for too long:
+//
+//   FFMPEG_STALL_SECONDS      ffmpeg without a progress line (default: 300)
+//   DOWNLOAD_STALL_SECONDS    download without a byte received (default: 120)
+//   METRICS_HOST              address the server listens on (default: 0.0.0.0)
+
+const PREFIX = 'bitrate_convert_';
+const FFMPEG_STALL_MS = parseFloat(process.env.FFMPEG_STALL_SECONDS || '300') * 1000;
+const DOWNLOAD_STALL_MS = parseFloat(process.env.DOWNLOAD_STALL_SECONDS || '120') * 1000;
+const METRICS_HOST = process.env.METRICS_HOST || '0.0.0.0';
+
+const METRICS = {
+  info: { type: 'gauge', help: 'Always 1; labels name the running command' },
+  start_time_seconds: { type: 'gauge', help: 'When this process started, in Unix seconds' },
+  files_total: {
+    type: 'counter',
+    help: 'Keys finished by the pipeline, by the stage they ended in and their outcome',
+  },
+  downloaded_bytes_total: { type: 'counter', help: 'Bytes received from S3' },
+  uploaded_bytes_total: { type: 'counter', help: 'Bytes delivered, by target (s3, drive, local)' },
+  transcode_seconds_total: { type: 'counter', help: 'Wall-clock seconds ffmpeg ran for' },
+  transcoded_media_seconds_total: { type: 'counter', help: 'Seconds of video ffmpeg wrote' },
+  transcode_speed: {
+    type: 'gauge',
+    help: 'Seconds of video written per wall-clock second, averaged over running ffmpeg processes',
+  },
+  transcodes_running: { type: 'gauge', help: 'ffmpeg processes running' },
+  downloads_running: { type: 'gauge', help: 'Downloads in progress' },
+  pipeline_waiting: { type: 'gauge', help: 'Jobs waiting for a slot in a pipeline stage' },
+  pipeline_active: { type: 'gauge', help: 'Jobs in a pipeline stage' },
+  pipeline_pending: { type: 'gauge', help: 'Keys the pipeline has not started yet' },
+  api_requests_total: { type: 'counter', help: 'S3 and Drive API requests, by operation' },
+  api_errors_total: { type: 'counter', help: 'Failed S3 and Drive API requests, by error' },
+};
+
+// Metric name -> Map of serialized labels -> { labels, value }
+const series = new Map(Object.keys(METRICS).map((name) => [name, new Map()]));
+// Functions returning [{ name, labels, value }] at every scrape
+const collectors = new Set();
+// Running ffmpeg processes and downloads, for /healthz
+const activities = new Set();
+
+setMetric('start_time_seconds', {}, Math.round(Date.now() / 1000 - process.uptime()));
+
+function seriesFor(name, labels) {
+  const entries = series.get(name);
+  if (!entries) throw new Error(`Unknown metric ${name}`);
+  const id = JSON.stringify(labels);
+  if (!entries.has(id)) entries.set(id, { labels, value: 0 });
+  return entries.get(id);
+}
+
+export function incrementMetric(name, labels = {}, amount = 1) {
+  seriesFor(name, labels).value += amount;
+}
+
+export function setMetric(name, labels = {}, value) {
+  seriesFor(name, labels).value = value;
+}
+
+// files_total for a job that ended in pipeline stage `stage`, by how its
+// ledger `record` ended up
+export function countFinishedJob(stage, record) {
+  const outcome = record?.stage === 'done' && record.skipped ? 'skipped' : record?.stage;
+  incrementMetric('files_total', { stage, outcome: outcome || 'unknown' });
+}
+
+// `collect()` returns samples computed at scrape time (e.g. queue depths);
+// returns a function that removes it
+export function addCollector(collect) {
+  collectors.add(collect);
+  return () => collectors.delete(collect);
+}
+
+// Marks a running ffmpeg ('ffmpeg') or download ('download') of `label`.
+// touch(mediaSeconds) records progress; end() must be called when it stops.
+export function trackActivity(kind, label) {
+  const activity = { kind, label, startedAt: Date.now(), lastProgressAt: Date.now(), media: 0 };
+  activities.add(activity);
+  return {
+    touch(media) {
+      activity.lastProgressAt = Date.now();
+      if (media !== undefined) activity.media = media;
+    },
+    end() {
+      if (!activities.delete(activity)) return;
+      if (kind === 'ffmpeg') {
+        incrementMetric('transcode_seconds_total', {}, (Date.now() - activity.startedAt) / 1000);
+        incrementMetric('transcoded_media_seconds_total', {}, activity.media);
+      }
+    },
+  };
+}
+
+function activitySamples(now) {
+  const running = [...activities];
+  const transcodes = running.filter((activity) => activity.kind === 'ffmpeg');
+  const speeds = transcodes
+    .filter((activity) => now > activity.startedAt)
+    .map((activity) => activity.media / ((now - activity.startedAt) / 1000));
+  return [
+    { name: 'transcodes_running', value: transcodes.length },
+    { name: 'downloads_running', value: running.length - transcodes.length },
+    {
+      name: 'transcode_speed',
+      value: speeds.length ? speeds.reduce((sum, speed) => sum + speed, 0) / speeds.length : 0,
+    },
+  ];
+}
+
+// { healthy, problems, running } with one problem per stalled activity
+export function healthReport(now = Date.now()) {
+  const problems = [];
+  for (const activity of activities) {
+    const limit = activity.kind === 'ffmpeg' ? FFMPEG_STALL_MS : DOWNLOAD_STALL_MS;
+    const idle = now - activity.lastProgressAt;
+    if (idle > limit) {
+      const what = activity.kind === 'ffmpeg' ? 'ffmpeg' : 'download';
+      problems.push(
+        `${what} of ${activity.label} has made no progress for ${Math.round(idle / 1000)}s`
+      );
+    }
+  }
+  return {
+    healthy: problems.length === 0,
+    problems,
+    running: [...activities].map(({ kind, label }) => ({ kind, label })),
+  };
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels || {}).map(
+    ([key, value]) => `${key}="${escapeLabel(value)}"`
+  );
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+// The Prometheus text exposition format
+export function renderMetrics(now = Date.now()) {
+  const samples = new Map(
+    Object.keys(METRICS).map((name) => [name, [...series.get(name).values()]])
+  );
+  const computed = [activitySamples(now), ...[...collectors].map((collect) => collect())].flat();
+  for (const sample of computed) samples.get(sample.name).push(sample);
+
+  const lines = [];
+  for (const [name, { type, help }] of Object.entries(METRICS)) {
+    lines.push(`# HELP ${PREFIX}${name} ${help}`, `# TYPE ${PREFIX}${name} ${type}`);
+    for (const { labels, value } of samples.get(name)) {
+      lines.push(`${PREFIX}${name}${formatLabels(labels)} ${value}`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+function errorLabel(error) {
+  if (error.name && error.name !== 'Error') return error.name;
+  const status = error.$metadata?.httpStatusCode || error.response?.status || error.status;
+  return status ? `HTTP ${status}` : 'Error';
+}
+
+// Runs `request()`, counting it and its failure under api_*_total
+export async function countRequest(service, operation, request) {
+  incrementMetric('api_requests_total', { service, operation });
+  try {
+    return await request();
+  } catch (error) {
+    incrementMetric('api_errors_total', { service, operation, error: errorLabel(error) });
+    throw error;
+  }
+}
+
+const instrumented = new WeakSet();
+
+// Counts every request an S3 client sends (lib-storage uploads included)
+export function instrumentS3(client) {
+  if (instrumented.has(client)) return client;
+  instrumented.add(client);
+  const send = client.send.bind(client);
+  client.send = (command, ...rest) =>
+    countRequest('s3', command.constructor.name.replace(/Command$/, ''), () =>
+      send(command, ...rest)
+    );
+  return client;
+}
+
+// Counts the Drive `files` calls; resumable upload requests are counted in
+// lib/drive-upload.mjs, as googleapis sends `files` calls through the same
+// auth client
+export function instrumentDrive(drive) {
+  if (instrumented.has(drive)) return drive;
+  instrumented.add(drive);
+  for (const method of ['list', 'get', 'create', 'update', 'delete']) {
+    const call = drive.files[method];
+    if (typeof call !== 'function') continue;
+    drive.files[method] = (...args) =>
+      countRequest('drive', `files.${method}`, () => call.apply(drive.files, args));
+  }
+  return drive;
+}
+
+// Serves /metrics and /healthz on `port` (0 picks a free one); resolves to
+// { port, close() }
+export async function startMetricsServer(port, { host = METRICS_HOST, labels = {} } = {}) {
+  setMetric('info', labels, 1);
+  const server = http.createServer((request, response) => {
+    const { pathname } = new URL(request.url, 'http://localhost');
+    if (pathname === '/metrics') {
+      response.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+      response.end(renderMetrics());
+    } else if (pathname === '/healthz') {
+      const report = healthReport();
+      response.writeHead(report.healthy ? 200 : 503, { 'Content-Type': 'application/json' });
+      response.end(JSON.stringify(report));
+    } else {
+      response.writeHead(404);
+      response.end();
+    }
+  });
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+  // A scrape in flight must not keep the process alive
+  server.unref();
+  const address = server.address();
+  console.log(`📈 Serving metrics on http://${host}:${address.port}/metrics and /healthz`);
+  return {
+    port: address.port,
+    close() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(() => resolve()));
+    },
+  };
+}
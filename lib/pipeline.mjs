@@ -0,0 +1,160 @@
+import { addCollector } from './metrics.mjs';
+
+// Staged worker pool: every job walks the stages in order, and each stage has
+// its own concurrency limit, so downloads, transcodes and uploads of different
+// files overlap. The number of jobs in flight is bounded by the total number of
+// stage slots, which keeps finished downloads from piling up on disk while they
+// wait for a transcode slot.
+
+// Counting semaphore. acquire(n) takes n units (clamped to the limit, so a
+// single oversized request still runs once everything else is released);
+// aborting its `signal` gives up the wait with signal.reason.
+export function createSemaphore(limit) {
+  let available = limit;
+  const waiters = [];
+
+  function grant() {
+    while (waiters.length > 0 && available >= waiters[0].n) {
+      const waiter = waiters.shift();
+      available -= waiter.n;
+      waiter.resolve();
+    }
+  }
+
+  return {
+    get available() {
+      return available;
+    },
+
+    get waiting() {
+      return waiters.length;
+    },
+
+    async acquire(n = 1, signal) {
+      n = Math.min(n, limit);
+      signal?.throwIfAborted();
+      if (waiters.length === 0 && available >= n) {
+        available -= n;
+        return n;
+      }
+      await new Promise((resolve, reject) => {
+        const onAbort = () => {
+          waiters.splice(waiters.indexOf(waiter), 1);
+          // Whoever queued behind it may fit now
+          grant();
+          reject(signal.reason);
+        };
+        const waiter = {
+          n,
+          resolve: () => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+          },
+        };
+        waiters.push(waiter);
+        signal?.addEventListener('abort', onAbort, { once: true });
+      });
+      return n;
+    },
+
+    release(n = 1) {
+      available += n;
+      grant();
+    },
+  };
+}
+
+// stages: [{ name, concurrency, run: async (job) => boolean, drain }]
+// A stage returns false to stop the job early (skipped or failed). onFinish
+// runs once per job after its last stage, whatever the outcome, and is where
+// local files and disk reservations are released.
+//
+// Once `signal` aborts no more items are taken, and jobs that have not
+// started are dropped. Started jobs stop before their next stage (with
+// signal.reason as the error) unless that stage is marked `drain`, e.g. an
+// upload of an output that already exists. Each job gets `signal` as
+// `job.signal` to pass on to the work it starts, and `job.stage` names the
+// stage it is in (or ended in).
+export async function runPipeline(items, stages, { onFinish, signal } = {}) {
+  const slots = stages.map((stage) => createSemaphore(stage.concurrency));
+  const maxInFlight = stages.reduce((sum, stage) => sum + stage.concurrency, 0);
+  const admission = createSemaphore(maxInFlight);
+  const running = new Set();
+  let started = 0;
+
+  // Queue depths for /metrics
+  const removeCollector = addCollector(() => [
+    ...stages.flatMap((stage, i) => [
+      { name: 'pipeline_waiting', labels: { stage: stage.name }, value: slots[i].waiting },
+      {
+        name: 'pipeline_active',
+        labels: { stage: stage.name },
+        value: stage.concurrency - slots[i].available,
+      },
+    ]),
+    { name: 'pipeline_pending', value: items.length - started },
+  ]);
+
+  const runJob = async (job) => {
+    await slots[0].acquire();
+    if (signal?.aborted) {
+      slots[0].release();
+      admission.release();
+      return;
+    }
+
+    let failure = null;
+    try {
+      for (let i = 0; i < stages.length; i++) {
+        if (i > 0) await slots[i].acquire();
+        if (i > 0 && signal?.aborted && !stages[i].drain) {
+          slots[i].release();
+          throw signal.reason;
+        }
+        job.stage = stages[i].name;
+        let proceed;
+        try {
+          proceed = await stages[i].run(job);
+        } finally {
+          slots[i].release();
+        }
+        if (proceed === false) break;
+      }
+    } catch (error) {
+      failure = error;
+      if (error !== signal?.reason) {
+        console.error(`❌ Pipeline error for job ${job.index + 1}:`, error);
+      }
+    } finally {
+      try {
+        if (onFinish) await onFinish(job, failure);
+      } finally {
+        admission.release();
+      }
+    }
+  };
+
+  for (let index = 0; index < items.length; index++) {
+    await admission.acquire();
+    if (signal?.aborted) {
+      admission.release();
+      break;
+    }
+    started = index + 1;
+    const job = { item: items[index], index, total: items.length, signal };
+    const promise = runJob(job);
+    running.add(promise);
+    // Promise.all below reports a failed job; this must not be a second,
+    // unhandled rejection
+    const remove = () => running.delete(promise);
+    promise.then(remove, remove);
+  }
+
+  await Promise.all(running);
+  removeCollector();
+}
+
+export function getPipelineConcurrency(stage, fallback = 1) {
+  const value = parseInt(process.env[`${stage.toUpperCase()}_CONCURRENCY`] || '', 10);
+  return value > 0 ? value : fallback;
+}
@@ -0,0 +1,146 @@
+// Shared retry layer for the S3, Drive and ffmpeg steps. Errors are classified
+// as retryable (throttling, 5xx, network resets, truncated downloads) or
+// permanent (missing keys/folders, bad requests, invalid input data); only the
+// former are retried, with exponential backoff and full jitter.
+
+// Attempt limits per stage, overridable with RETRY_<STAGE>_ATTEMPTS
+// (e.g. RETRY_S3_UPLOAD_ATTEMPTS=8)
+const DEFAULT_ATTEMPTS = {
+  download: 5,
+  transcode: 2,
+  's3-upload': 5,
+  drive: 5,
+  // Whole re-uploads after a checksum mismatch
+  checksum: 3,
+  // Work lease reads and writes (see lib/work-leases.mjs)
+  lease: 3,
+};
+
+const BASE_DELAY_MS = parseInt(process.env.RETRY_BASE_DELAY_MS || '1000', 10);
+const MAX_DELAY_MS = parseInt(process.env.RETRY_MAX_DELAY_MS || '60000', 10);
+
+const PERMANENT_AWS_ERRORS = [
+  'NoSuchKey',
+  'NotFound',
+  'NoSuchBucket',
+  'NoSuchUpload',
+  'AccessDenied',
+  'InvalidObjectState',
+  'InvalidRequest',
+];
+
+const RETRYABLE_AWS_ERRORS = [
+  'SlowDown',
+  'Throttling',
+  'ThrottlingException',
+  'RequestTimeout',
+  'RequestTimeTooSkewed',
+  'InternalError',
+  'ServiceUnavailable',
+  'TimeoutError',
+];
+
+const RETRYABLE_NETWORK_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ENETUNREACH',
+  'EHOSTUNREACH',
+  'ERR_STREAM_PREMATURE_CLOSE',
+  'UND_ERR_SOCKET',
+];
+
+const RETRYABLE_DRIVE_REASONS = [
+  'rateLimitExceeded',
+  'userRateLimitExceeded',
+  'backendError',
+  'internalError',
+];
+
+export function getRetryAttempts(stage) {
+  const envName = `RETRY_${stage.toUpperCase().replace(/-/g, '_')}_ATTEMPTS`;
+  if (process.env[envName]) return parseInt(process.env[envName], 10);
+  return DEFAULT_ATTEMPTS[stage] || 3;
+}
+
+function getHttpStatus(error) {
+  if (error.$metadata && error.$metadata.httpStatusCode) return error.$metadata.httpStatusCode;
+  if (error.response && error.response.status) return error.response.status;
+  if (typeof error.code === 'number') return error.code;
+  if (typeof error.status === 'number') return error.status;
+  return null;
+}
+
+export function isRetryable(error) {
+  if (!error) return false;
+
+  // Set explicitly by the step that threw, e.g. ffmpeg on a truncated download
+  if (typeof error.retryable === 'boolean') return error.retryable;
+  // Cancelled on purpose (see lib/shutdown.mjs)
+  if (error.name === 'AbortError') return false;
+
+  if (PERMANENT_AWS_ERRORS.includes(error.name) || PERMANENT_AWS_ERRORS.includes(error.Code)) {
+    return false;
+  }
+  if (RETRYABLE_AWS_ERRORS.includes(error.name) || RETRYABLE_AWS_ERRORS.includes(error.Code)) {
+    return true;
+  }
+  if (error.$retryable) return true;
+
+  if (
+    RETRYABLE_NETWORK_CODES.includes(error.code) ||
+    RETRYABLE_NETWORK_CODES.includes(error.errno)
+  ) {
+    return true;
+  }
+  if (error.cause && error.cause !== error && isRetryable(error.cause)) return true;
+
+  const status = getHttpStatus(error);
+  if (status === 429 || (status >= 500 && status < 600)) return true;
+  if (status === 403 && Array.isArray(error.errors)) {
+    return error.errors.some((e) => RETRYABLE_DRIVE_REASONS.includes(e.reason));
+  }
+  if (status >= 400 && status < 500) return false;
+
+  return /socket hang up|network|timed? ?out/i.test(error.message || '');
+}
+
+function backoffDelay(attempt) {
+  const ceiling = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (attempt - 1));
+  return Math.round(Math.random() * ceiling);
+}
+
+// Runs fn(attempt) until it succeeds, throws a permanent error, or the stage's
+// attempt limit is used up. onRetry(error, attempt) runs before each retry and
+// is the place to clean up partial state (e.g. a half-written download). Once
+// `signal` aborts the last error is thrown instead of retrying.
+export async function withRetry(
+  stage,
+  fn,
+  { attempts = getRetryAttempts(stage), onRetry, signal } = {}
+) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      const retryable = isRetryable(error);
+      error.retryable = retryable;
+      error.attempts = attempt;
+      if (!retryable || attempt >= attempts || signal?.aborted) {
+        throw error;
+      }
+
+      const delay = backoffDelay(attempt);
+      console.warn(
+        `\n⚠️ ${stage} attempt ${attempt}/${attempts} failed (${error.name}: ${
+          error.message
+        }), retrying in ${(delay / 1000).toFixed(1)}s`
+      );
+      if (onRetry) await onRetry(error, attempt);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+}
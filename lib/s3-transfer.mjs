@@ -0,0 +1,284 @@
+import { GetObjectCommand, HeadObjectCommand } from '@aws-sdk/client-s3';
+import { Upload } from '@aws-sdk/lib-storage';
+import { createWriteStream, existsSync, statSync } from 'fs';
+import { access, mkdir, rename, unlink } from 'fs/promises';
+import * as path from 'path';
+import { Transform } from 'stream';
+import {
+  checksumMismatchError,
+  createHasher,
+  getS3Checksums,
+  hashFile,
+  uploadEtagMatches,
+  VERIFY_CHECKSUMS,
+  verifyS3Download,
+} from './checksums.mjs';
+import { incrementMetric, trackActivity } from './metrics.mjs';
+import { withRetry } from './retry.mjs';
+
+// S3 transfers shared by every command. Downloads are hashed as they stream
+// and checked against S3; uploads are checked against the ETag S3 returns.
+
+// Multipart part size for S3 uploads; also needed to predict their ETag
+export const S3_PART_SIZE = 16 * 1024 * 1024;
+
+export async function checkFileExistsInS3(client, bucket, key) {
+  try {
+    await client.send(
+      new HeadObjectCommand({
+        Bucket: bucket,
+        Key: key,
+      })
+    );
+    return true;
+  } catch (error) {
+    if (error.name === 'NotFound') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+// Uploads an upload source (lib/upload-source.mjs). `checksums` (from hashFile
+// with S3_PART_SIZE) are checked against the ETag S3 returns; a mismatch is
+// retried like any other failed upload.
+export async function uploadToS3(client, bucket, source, key, options = {}) {
+  return withRetry('s3-upload', () => uploadToS3Once(client, bucket, source, key, options));
+}
+
+async function uploadToS3Once(
+  client,
+  bucket,
+  source,
+  key,
+  { sourceKey, checksums, contentType = 'video/mp4' }
+) {
+  const fileSize = source.size;
+  const upload = new Upload({
+    client,
+    params: {
+      Bucket: bucket,
+      Key: key,
+      Body: await source.open(),
+      ContentType: contentType,
+      Metadata: sourceKey ? { 'source-key': encodeURIComponent(sourceKey) } : {},
+    },
+    partSize: S3_PART_SIZE,
+    queueSize: 4, // Parts uploaded in parallel
+  });
+
+  let lastLogTime = 0;
+  const logInterval = 500; // Update every 500ms
+  let counted = 0;
+  upload.on('httpUploadProgress', ({ loaded }) => {
+    incrementMetric('uploaded_bytes_total', { target: 's3' }, loaded - counted);
+    counted = loaded;
+    const currentTime = Date.now();
+    if (currentTime - lastLogTime >= logInterval) {
+      const progress = ((loaded / fileSize) * 100).toFixed(1);
+      const uploaded = (loaded / (1024 * 1024)).toFixed(1);
+      const total = (fileSize / (1024 * 1024)).toFixed(1);
+      process.stdout.write(`\r⬆️ S3 Upload: ${progress}% (${uploaded}MB / ${total}MB)`);
+      lastLogTime = currentTime;
+    }
+  });
+
+  const result = await upload.done();
+  process.stdout.write(
+    `\r✅ S3 Upload complete: ${(fileSize / (1024 * 1024)).toFixed(1)}MB total\n`
+  );
+  verifyUploadEtag(result, checksums, key);
+  return result;
+}
+
+function verifyUploadEtag(result, checksums, key) {
+  // ETags of KMS-encrypted objects are not MD5s
+  const kmsEncrypted = (result.ServerSideEncryption || '').startsWith('aws:kms');
+  if (checksums && VERIFY_CHECKSUMS && !kmsEncrypted) {
+    if (!uploadEtagMatches(checksums, result.ETag)) {
+      throw checksumMismatchError(
+        `S3 ETag ${result.ETag} of ${key} does not match local md5 ${checksums.md5}`
+      );
+    }
+    console.log(`🔒 S3 upload verified (ETag ${result.ETag})`);
+  }
+}
+
+// Uploads a stream of unknown length (e.g. ffmpeg's stdout), hashing it on
+// the way; returns the hashes once the ETag has been checked. A stream cannot
+// be replayed, so retrying is up to the caller.
+export async function uploadStreamToS3(
+  client,
+  bucket,
+  stream,
+  key,
+  { sourceKey, contentType = 'video/mp4' } = {}
+) {
+  const hasher = createHasher({ partSize: S3_PART_SIZE });
+  const hashed = new Transform({
+    transform(chunk, encoding, callback) {
+      hasher.update(chunk);
+      incrementMetric('uploaded_bytes_total', { target: 's3' }, chunk.length);
+      callback(null, chunk);
+    },
+  });
+  stream.on('error', (error) => hashed.destroy(error));
+  stream.pipe(hashed);
+
+  const upload = new Upload({
+    client,
+    params: {
+      Bucket: bucket,
+      Key: key,
+      Body: hashed,
+      ContentType: contentType,
+      Metadata: sourceKey ? { 'source-key': encodeURIComponent(sourceKey) } : {},
+    },
+    partSize: S3_PART_SIZE,
+    queueSize: 4, // Parts uploaded in parallel
+  });
+
+  const result = await upload.done();
+  const checksums = hasher.digest();
+  console.log(`✅ S3 Upload complete: ${(checksums.size / (1024 * 1024)).toFixed(1)}MB total`);
+  verifyUploadEtag(result, checksums, key);
+  return checksums;
+}
+
+// Aborting `signal` stops the download and leaves no file behind
+export async function downloadFromS3(client, bucket, key, filePath, { signal } = {}) {
+  return withRetry(
+    'download',
+    async () => {
+      const expected = VERIFY_CHECKSUMS ? await getS3Checksums(client, bucket, key) : {};
+      const { Body } = await client.send(
+        new GetObjectCommand({
+          Bucket: bucket,
+          Key: key,
+        }),
+        { abortSignal: signal }
+      );
+      return streamToFile(Body, filePath, {
+        partSize: expected.partSize,
+        verify: (hashes) => verifyS3Download(hashes, expected, key),
+      });
+    },
+    {
+      signal,
+      onRetry: async () => {
+        if (existsSync(filePath)) await unlink(filePath);
+      },
+    }
+  );
+}
+
+// Returns the file's verified hashes, or null if it no longer matches S3
+export async function verifyLocalCopy(client, bucket, key, filePath = key) {
+  const expected = VERIFY_CHECKSUMS ? await getS3Checksums(client, bucket, key) : {};
+  const hashes = await hashFile(filePath, { partSize: expected.partSize });
+  try {
+    return verifyS3Download(hashes, expected, key);
+  } catch (mismatchError) {
+    console.log(`⚠️ ${mismatchError.message}, downloading again`);
+    return null;
+  }
+}
+
+// ffmpeg fails with "invalid data" both on corrupt sources and on downloads cut
+// short; comparing the local size against S3 tells the two apart
+export async function isTruncatedDownload(client, bucket, key, filePath) {
+  try {
+    const { ContentLength } = await client.send(
+      new HeadObjectCommand({ Bucket: bucket, Key: key })
+    );
+    return existsSync(filePath) && statSync(filePath).size < ContentLength;
+  } catch {
+    return false;
+  }
+}
+
+// Writes the stream to disk, hashing it on the way; returns the hashes, or
+// what `verify(hashes)` returns for them. The bytes go to `<filePath>.part`,
+// which is only renamed once the stream has ended and `verify` has not thrown,
+// so a file at `filePath` is always complete and verified.
+export async function streamToFile(
+  stream,
+  filePath,
+  { partSize, verify = (hashes) => hashes } = {}
+) {
+  const directory = path.dirname(filePath);
+  try {
+    await access(directory);
+  } catch {
+    await mkdir(directory, { recursive: true });
+  }
+
+  const partPath = `${filePath}.part`;
+  return new Promise((resolve, reject) => {
+    const writeStream = createWriteStream(partPath);
+    const hasher = createHasher({ partSize });
+    const activity = trackActivity('download', filePath);
+    let totalBytes = 0;
+    let downloadedBytes = 0;
+    let lastLogTime = Date.now();
+    const logInterval = 500; // Update every 500ms
+
+    if (stream.headers && stream.headers['content-length']) {
+      totalBytes = parseInt(stream.headers['content-length']);
+    }
+
+    stream.on('data', (chunk) => {
+      hasher.update(chunk);
+      activity.touch();
+      incrementMetric('downloaded_bytes_total', {}, chunk.length);
+      downloadedBytes += chunk.length;
+      const currentTime = Date.now();
+
+      if (currentTime - lastLogTime >= logInterval) {
+        if (totalBytes > 0) {
+          const progress = ((downloadedBytes / totalBytes) * 100).toFixed(1);
+          const downloaded = (downloadedBytes / (1024 * 1024)).toFixed(1);
+          const total = (totalBytes / (1024 * 1024)).toFixed(1);
+          process.stdout.write(`\r⬇️ Download: ${progress}% (${downloaded}MB / ${total}MB)`);
+        } else {
+          const downloaded = (downloadedBytes / (1024 * 1024)).toFixed(1);
+          process.stdout.write(`\r⬇️ Downloaded: ${downloaded}MB`);
+        }
+        lastLogTime = currentTime;
+      }
+    });
+
+    stream.pipe(writeStream);
+
+    writeStream.on('finish', async () => {
+      activity.end();
+      const finalSize = (downloadedBytes / (1024 * 1024)).toFixed(1);
+      process.stdout.write(`\r✅ Download complete: ${finalSize}MB total\n`);
+      let hashes;
+      try {
+        hashes = verify(hasher.digest());
+      } catch (mismatchError) {
+        await unlink(partPath).catch(() => {});
+        reject(mismatchError);
+        return;
+      }
+      try {
+        await rename(partPath, filePath);
+      } catch (renameError) {
+        reject(renameError);
+        return;
+      }
+      resolve(hashes);
+    });
+
+    const fail = (error) => {
+      activity.end();
+      writeStream.destroy();
+      unlink(partPath)
+        .catch(() => {})
+        .finally(() => reject(error));
+    };
+    writeStream.on('error', fail);
+    stream.on('error', fail);
+  });
+}
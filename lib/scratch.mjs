@@ -0,0 +1,242 @@
+import { existsSync, readFileSync, unlinkSync, writeFileSync } from 'fs';
+import { mkdir, readdir, rmdir, stat, statfs, unlink } from 'fs/promises';
+import os from 'os';
+import * as path from 'path';
+import { createSemaphore } from './pipeline.mjs';
+
+// Local working space for downloads and outputs. Every instance gets its own
+// directory under SCRATCH_DIR (`<command>-<shard index>`, or the first free
+// `<command>-lease-<n>` with --leases), where files sit at the path of their
+// S3 key. A `.lock` file holding the owner's pid keeps a second process of the
+// same instance out. Anything a dead owner left behind is deleted at startup,
+// except what `keep` still needs (e.g. an output whose Drive upload can
+// resume).
+//
+// Disk space is reserved per file before it is downloaded. A reservation
+// counts against MAX_LOCAL_DISK_GB, and it waits while it would leave less
+// than MIN_FREE_DISK_GB free on the scratch disk (or fails, with
+// DISK_SPACE_ACTION=fail).
+//
+//   SCRATCH_DIR               root of the instance directories (default: scratch)
+//   MAX_LOCAL_DISK_GB         cap on the bytes reserved at once (default: none)
+//   MIN_FREE_DISK_GB          free space to leave on the scratch disk (default 1)
+//   DISK_SPACE_ACTION         wait | fail when space runs short (default wait)
+//   DISK_SPACE_POLL_SECONDS   how often a waiting reservation checks again (default 30)
+
+const SCRATCH_DIR = process.env.SCRATCH_DIR || 'scratch';
+const GB = 1024 ** 3;
+const MAX_LOCAL_DISK_BYTES = process.env.MAX_LOCAL_DISK_GB
+  ? parseFloat(process.env.MAX_LOCAL_DISK_GB) * GB
+  : Infinity;
+const MIN_FREE_BYTES = parseFloat(process.env.MIN_FREE_DISK_GB || '1') * GB;
+const DISK_SPACE_ACTION = process.env.DISK_SPACE_ACTION === 'fail' ? 'fail' : 'wait';
+const POLL_MS = parseFloat(process.env.DISK_SPACE_POLL_SECONDS || '30') * 1000;
+const LOCK_FILE = '.lock';
+
+function formatGB(bytes) {
+  return `${(bytes / GB).toFixed(2)}GB`;
+}
+
+export function diskSpaceError(message) {
+  const error = new Error(message);
+  error.name = 'DiskSpaceError';
+  // Not worth retrying within the run; the next run picks the key up again
+  error.retryable = false;
+  return error;
+}
+
+function scratchInUseError(message) {
+  const error = new Error(message);
+  error.name = 'ScratchInUseError';
+  error.retryable = false;
+  return error;
+}
+
+function unsafeKeyError(message) {
+  const error = new Error(message);
+  error.name = 'UnsafeKeyError';
+  error.retryable = false;
+  return error;
+}
+
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: alive, but owned by another user
+    return error.code === 'EPERM';
+  }
+}
+
+// Takes the instance directory's lock, refusing if a live process holds it
+function takeLock(directory) {
+  const lockPath = path.join(directory, LOCK_FILE);
+  if (existsSync(lockPath)) {
+    let owner = null;
+    try {
+      owner = JSON.parse(readFileSync(lockPath, 'utf-8'));
+    } catch {
+      // A torn lock file has no owner to protect
+    }
+    if (owner && (owner.host !== os.hostname() || isRunning(owner.pid))) {
+      throw scratchInUseError(
+        `${directory} is in use by pid ${owner.pid} on ${owner.host}; is another instance ` +
+          `running with the same shard? Remove ${lockPath} if that process is gone.`
+      );
+    }
+    unlinkSync(lockPath);
+  }
+  writeFileSync(
+    lockPath,
+    JSON.stringify({ pid: process.pid, host: os.hostname(), startedAt: new Date().toISOString() }),
+    { flag: 'wx' }
+  );
+  return lockPath;
+}
+
+// Deletes every file below `directory` that `keep(filePath)` does not claim,
+// then the directories left empty. Returns { files, bytes } removed.
+async function removeOrphans(directory, keep) {
+  const removed = { files: 0, bytes: 0 };
+  async function walk(current) {
+    let empty = true;
+    for (const entry of await readdir(current, { withFileTypes: true })) {
+      const entryPath = path.join(current, entry.name);
+      if (entry.isDirectory()) {
+        if (await walk(entryPath)) {
+          await rmdir(entryPath);
+        } else {
+          empty = false;
+        }
+      } else if (current === directory && entry.name === LOCK_FILE) {
+        empty = false;
+      } else if (keep(entryPath)) {
+        empty = false;
+      } else {
+        const { size } = await stat(entryPath);
+        await unlink(entryPath);
+        removed.files++;
+        removed.bytes += size;
+      }
+    }
+    return empty;
+  }
+  await walk(directory);
+  return removed;
+}
+
+// `config` is the CLI config (command, shard, leases); `keep(filePath)`
+// protects leftover files from the startup cleanup
+export async function openScratch(config, { keep = () => false } = {}) {
+  let directory;
+  let lockPath;
+  // Instances claiming leases are interchangeable, so any free slot will do
+  for (let slot = 0; !lockPath; slot++) {
+    const name = config.leases
+      ? `${config.command}-lease-${slot}`
+      : `${config.command}-${config.shard.index}`;
+    directory = path.resolve(SCRATCH_DIR, name);
+    await mkdir(directory, { recursive: true });
+    try {
+      lockPath = takeLock(directory);
+    } catch (lockError) {
+      if (!config.leases || lockError.name !== 'ScratchInUseError') throw lockError;
+    }
+  }
+  const releaseLock = () => {
+    try {
+      unlinkSync(lockPath);
+    } catch {
+      // Already gone
+    }
+  };
+  process.on('exit', releaseLock);
+
+  const removed = await removeOrphans(directory, keep);
+  if (removed.files > 0) {
+    console.log(
+      `🧹 Removed ${removed.files} orphaned file(s) (${formatGB(removed.bytes)}) from ${directory}`
+    );
+  }
+  console.log(`📁 Scratch directory: ${directory}`);
+
+  const budget = createSemaphore(MAX_LOCAL_DISK_BYTES);
+  // Reservations check free space one at a time, in arrival order
+  const checks = createSemaphore(1);
+  let reserved = 0;
+
+  async function freeBytes() {
+    const { bavail, bsize } = await statfs(directory);
+    return bavail * bsize;
+  }
+
+  // Holds `bytes` of scratch space for one file (and its output); pass the
+  // result to release() once the files are gone. `label` is for logs.
+  // Aborting `signal` stops waiting for space and rejects with its reason.
+  async function reserve(bytes, label, { signal } = {}) {
+    const units = await budget.acquire(bytes, signal);
+    try {
+      await checks.acquire(1, signal);
+    } catch (abortError) {
+      budget.release(units);
+      throw abortError;
+    }
+    try {
+      for (let waiting = false; ; waiting = true) {
+        // Bytes already reserved may not be on disk yet
+        const free = (await freeBytes()) - reserved;
+        if (free - bytes >= MIN_FREE_BYTES) break;
+
+        const message =
+          `${label} needs ${formatGB(bytes)} but only ${formatGB(Math.max(0, free))} is ` +
+          `available in ${directory} (keeping ${formatGB(MIN_FREE_BYTES)} free)`;
+        if (DISK_SPACE_ACTION === 'fail') throw diskSpaceError(message);
+        if (!waiting) console.log(`⏸️ ${message}; waiting for space`);
+        await new Promise((resolve, reject) => {
+          const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+          };
+          const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+          }, POLL_MS);
+          signal?.addEventListener('abort', onAbort, { once: true });
+        });
+      }
+      reserved += bytes;
+      return { bytes, units };
+    } catch (error) {
+      budget.release(units);
+      throw error;
+    } finally {
+      checks.release();
+    }
+  }
+
+  function release(reservation) {
+    if (!reservation) return;
+    reserved -= reservation.bytes;
+    budget.release(reservation.units);
+  }
+
+  return {
+    directory,
+    // Local path of an S3 key. Keys that would land outside the directory
+    // (`..` segments, absolute paths) are refused, as cleanup deletes there.
+    pathFor(key) {
+      const filePath = path.resolve(directory, key);
+      if (!filePath.startsWith(`${directory}${path.sep}`)) {
+        throw unsafeKeyError(`Key ${key} would be stored outside ${directory}`);
+      }
+      return filePath;
+    },
+    reserve,
+    release,
+    close() {
+      releaseLock();
+      process.off('exit', releaseLock);
+    },
+  };
+}
@@ -0,0 +1,46 @@
+import { constants } from 'os';
+
+// SIGINT/SIGTERM handling for the long-running commands. The first signal
+// aborts `signal`: the pipeline stops taking keys, downloads and ffmpeg are
+// stopped, and jobs that reach their upload still finish it. A second signal
+// runs `onForce` (which must be synchronous) and exits at once.
+
+export function shutdownError(signalName) {
+  const error = new Error(`Stopped by ${signalName}`);
+  error.name = 'ShutdownError';
+  error.retryable = false;
+  return error;
+}
+
+export function handleShutdown({ onForce } = {}) {
+  const controller = new AbortController();
+  let received = null;
+
+  const onSignal = (signalName) => {
+    // Shells report a process killed by signal N as exit code 128 + N
+    const exitCode = 128 + constants.signals[signalName];
+    if (!received) {
+      received = signalName;
+      process.exitCode = exitCode;
+      console.log(
+        `\n🛑 ${signalName} received: taking no new keys, stopping downloads and ffmpeg, ` +
+          'finishing uploads in progress (send it again to exit now)'
+      );
+      controller.abort(shutdownError(signalName));
+      return;
+    }
+    console.log(`\n💥 ${signalName} received again, exiting now`);
+    if (onForce) onForce();
+    process.exit(exitCode);
+  };
+
+  const signals = ['SIGINT', 'SIGTERM'];
+  for (const signalName of signals) process.on(signalName, onSignal);
+
+  return {
+    signal: controller.signal,
+    dispose() {
+      for (const signalName of signals) process.off(signalName, onSignal);
+    },
+  };
+}
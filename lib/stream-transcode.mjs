@@ -0,0 +1,72 @@
+import { GetObjectCommand } from '@aws-sdk/client-s3';
+import { probeMedia } from './ffprobe.mjs';
+import { withRetry } from './retry.mjs';
+
+// `transcode --stream` pipes the S3 object into ffmpeg's stdin and the
+// fragmented MP4 ffmpeg writes to stdout into a multipart S3 upload, so
+// neither the source nor the output is written to local disk. That needs an
+// input ffmpeg can read front to back: MP4/MOV files whose index (moov) sits
+// after the media data, and anything ffprobe cannot make sense of from the
+// first bytes, take the disk path instead.
+//
+//   STREAM_PROBE_MB   how much of the object is read to decide and probe (default 8)
+
+const PROBE_BYTES = Math.round(parseFloat(process.env.STREAM_PROBE_MB || '8') * 1024 * 1024);
+
+// Containers that state their duration in the header; for the others ffprobe
+// estimates it from the bytes it was given, which is wrong for a partial read
+const HEADER_DURATION_CONTAINERS = ['avi', 'matroska', 'mov'];
+
+export async function readObjectHead(client, bucket, key, bytes = PROBE_BYTES) {
+  return withRetry('download', async () => {
+    const { Body } = await client.send(
+      new GetObjectCommand({ Bucket: bucket, Key: key, Range: `bytes=0-${bytes - 1}` })
+    );
+    const chunks = [];
+    for await (const chunk of Body) chunks.push(chunk);
+    return Buffer.concat(chunks);
+  });
+}
+
+// ISO BMFF files (MP4, MOV, 3GP) can only be read sequentially when the moov
+// box comes before mdat, i.e. they were written with +faststart or are
+// fragmented. Walks the top-level boxes in `head`; other formats stream.
+export function needsSeeking(head) {
+  if (head.length < 8 || head.toString('latin1', 4, 8) !== 'ftyp') return false;
+
+  let offset = 0;
+  while (offset + 8 <= head.length) {
+    const type = head.toString('latin1', offset + 4, offset + 8);
+    if (type === 'moov' || type === 'moof') return false;
+    if (type === 'mdat') return true;
+
+    let size = head.readUInt32BE(offset);
+    if (size === 1 && offset + 16 <= head.length) size = Number(head.readBigUInt64BE(offset + 8));
+    // 0 runs to the end of the file; anything under a box header is corrupt
+    if (size < 8) break;
+    offset += size;
+  }
+  // No moov within the bytes we read
+  return true;
+}
+
+// Decides whether the object can be streamed. Returns { probe } (an ffprobe
+// summary of its first bytes) or { reason } it has to go through disk.
+export async function probeForStreaming(client, bucket, key, size) {
+  const head = await readObjectHead(client, bucket, key);
+  if (needsSeeking(head)) return { reason: 'its MP4 index (moov) comes after the media data' };
+
+  let probe;
+  try {
+    probe = await probeMedia(key, { input: head });
+  } catch (probeError) {
+    return { reason: `ffprobe could not read its first bytes (${probeError.message})` };
+  }
+  if (!probe.video) return { reason: 'no video stream in its first bytes' };
+
+  const containers = (probe.container || '').split(',');
+  if (head.length < size && !containers.some((name) => HEADER_DURATION_CONTAINERS.includes(name))) {
+    probe.duration = null;
+  }
+  return { probe };
+}
@@ -0,0 +1,114 @@
+import { profileAllowsRemux, profileEncoderArgs } from './encoding-profiles.mjs';
+
+// Builds the ffmpeg arguments for one input from its ffprobe summary: hardware
+// decoding follows the actual video codec, only the first video stream and
+// first audio stream are mapped, and inputs that are already H.264 in an
+// MP4-compatible container are remuxed instead of re-encoded (unless they
+// exceed the encoding profile's caps).
+
+// Codecs NVDEC can decode, used to decide whether `-hwaccel cuda` is worth it
+const NVDEC_CODECS = [
+  'h264',
+  'hevc',
+  'av1',
+  'vp8',
+  'vp9',
+  'mpeg1video',
+  'mpeg2video',
+  'mpeg4',
+  'vc1',
+  'mjpeg',
+];
+
+// Containers whose H.264 streams can be copied into MP4 as-is
+const REMUX_CONTAINERS = ['mov', 'mp4', 'm4a', '3gp', '3g2', 'mj2', 'matroska'];
+
+// Audio that MP4 carries without re-encoding
+const MP4_AUDIO_CODECS = ['aac', 'mp3', 'ac3', 'eac3', 'alac', 'opus'];
+
+// +faststart rewrites the file at the end, which a pipe cannot do; a
+// fragmented MP4 is written front to back
+const FRAGMENTED_MP4_ARGS = [
+  '-movflags',
+  'frag_keyframe+empty_moov+default_base_moof',
+  '-f',
+  'mp4',
+];
+// Moves the index to the front so Drive can play the file while it loads
+const FASTSTART_ARGS = ['-movflags', '+faststart'];
+
+// `fragmented` is for outputs written to a pipe (see lib/stream-transcode.mjs)
+export function planTranscode(
+  probe,
+  inputFile,
+  outputFile,
+  { useCPU, profile = null, fragmented = false }
+) {
+  if (!probe.video) {
+    const error = new Error(`No video stream found in ${inputFile}`);
+    error.name = 'InvalidMediaError';
+    error.retryable = false;
+    throw error;
+  }
+
+  const containers = (probe.container || '').split(',');
+  const audio = probe.audio[0];
+  const audioArgs = audio
+    ? ['-map', `0:${audio.index}`, '-c:a', MP4_AUDIO_CODECS.includes(audio.codec) ? 'copy' : 'aac']
+    : [];
+
+  if (
+    probe.video.codec === 'h264' &&
+    containers.some((name) => REMUX_CONTAINERS.includes(name)) &&
+    profileAllowsRemux(profile, probe)
+  ) {
+    return {
+      mode: 'remux',
+      encoder: 'copy',
+      streams: { video: 1, audio: audio ? 1 : 0 },
+      args: [
+        '-i',
+        inputFile,
+        '-map',
+        `0:${probe.video.index}`,
+        '-c:v',
+        'copy',
+        ...audioArgs,
+        ...(fragmented ? FRAGMENTED_MP4_ARGS : FASTSTART_ARGS),
+        '-y',
+        outputFile,
+      ],
+    };
+  }
+
+  const { encoder, args: encoderArgs } = profile
+    ? profileEncoderArgs(profile, useCPU, probe)
+    : {
+        encoder: useCPU ? 'libx264' : 'h264_nvenc',
+        args: ['-c:v', useCPU ? 'libx264' : 'h264_nvenc'],
+      };
+  // ffmpeg picks the decoder for the codec itself; ffprobe's codec names are
+  // not all decoder names
+  const hwaccelArgs =
+    !useCPU && NVDEC_CODECS.includes(probe.video.codec) ? ['-hwaccel', 'cuda'] : [];
+
+  return {
+    mode: 'encode',
+    streams: { video: 1, audio: audio ? 1 : 0 },
+    encoder: profile ? `${encoder} [${profile.name}]` : encoder,
+    args: [
+      ...hwaccelArgs,
+      '-i',
+      inputFile,
+      '-map',
+      `0:${probe.video.index}`,
+      ...encoderArgs,
+      ...audioArgs,
+      '-strict',
+      '-2',
+      ...(fragmented ? FRAGMENTED_MP4_ARGS : FASTSTART_ARGS),
+      '-y',
+      outputFile,
+    ],
+  };
+}
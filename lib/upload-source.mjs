@@ -0,0 +1,52 @@
+import { GetObjectCommand, HeadObjectCommand } from '@aws-sdk/client-s3';
+import { createReadStream, statSync } from 'fs';
+import * as path from 'path';
+
+// What destinations upload: a local file, or an S3 object read straight from
+// the bucket (how `transcode --stream` delivers its outputs without writing
+// them to scratch). Every source has:
+//
+//   name          the file name at the destination
+//   label         for logs
+//   size
+//   filePath      local files only
+//   session       what a stored Drive upload session must match to be resumed
+//   open(start)   a readable stream of the bytes from `start` on
+
+export function fileSource(filePath) {
+  const { size, mtimeMs } = statSync(filePath);
+  return {
+    name: path.basename(filePath),
+    label: filePath,
+    size,
+    filePath,
+    session: { filePath, size, mtimeMs },
+    open: async (start = 0) => createReadStream(filePath, { start }),
+  };
+}
+
+// An object that changes in S3 gets a new ETag, so an old session never
+// resumes with different bytes
+export async function s3Source(client, bucket, key) {
+  const { ContentLength, ETag } = await client.send(
+    new HeadObjectCommand({ Bucket: bucket, Key: key })
+  );
+  const s3Uri = `s3://${bucket}/${key}`;
+  return {
+    name: path.posix.basename(key),
+    label: s3Uri,
+    size: ContentLength,
+    session: { s3Uri, size: ContentLength, etag: ETag },
+    open: async (start = 0) => {
+      const { Body } = await client.send(
+        new GetObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          // An empty object has no byte 0 to start from
+          Range: start > 0 ? `bytes=${start}-` : undefined,
+        })
+      );
+      return Body;
+    },
+  };
+}
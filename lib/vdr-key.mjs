@@ -0,0 +1,114 @@
+import * as path from 'path';
+
+// Parses an exported VDR recording key:
+//   <org>/<site>/vdr-<n>/camera-<n>/vdr-file-<n>/<label>_<yyyyMMddHHmmss>---<export time>.<ext>
+// e.g. Doughtronics-ACMEBreadCo./2nd-site__Berkeley/vdr-1511/camera-1008/vdr-file-340612/
+//      Door-Entrance_20250407090000---2025-04-16T142825.147.avi
+// Fields that cannot be found are null, so keys outside this layout still parse.
+export function parseVdrKey(key) {
+  const segments = key.split('/');
+  const fileName = segments[segments.length - 1];
+  const extension = path.extname(fileName).slice(1).toLowerCase() || null;
+
+  const findSegment = (pattern) => segments.find((segment) => pattern.test(segment)) || null;
+  const vdrIndex = segments.findIndex((segment) => /^vdr-\d+$/.test(segment));
+  const site = vdrIndex >= 1 ? segments[vdrIndex - 1] : null;
+
+  // <label>_<recording start>---<export timestamp>.<ext>
+  const nameMatch = path
+    .basename(fileName, path.extname(fileName))
+    .match(/^(.*)_(\d{14})---(\d{4}-\d{2}-\d{2}T\d{6}(?:\.\d+)?)$/);
+
+  return {
+    key,
+    org: vdrIndex >= 2 ? segments[vdrIndex - 2] : null,
+    site,
+    siteName: site && site.includes('__') ? site.slice(site.indexOf('__') + 2) : site,
+    vdr: vdrIndex >= 0 ? segments[vdrIndex] : null,
+    camera: findSegment(/^camera-\d+$/),
+    vdrFile: findSegment(/^vdr-file-\d+$/),
+    cameraLabel: nameMatch ? nameMatch[1] : null,
+    fileName,
+    extension,
+    recordedAt: nameMatch ? parseCompactTimestamp(nameMatch[2]) : null,
+    exportedAt: nameMatch ? parseExportTimestamp(nameMatch[3]) : null,
+  };
+}
+
+// 20250407090000 -> Date. Recordings carry no zone, so they are read as UTC
+// and compared against UTC dates throughout.
+function parseCompactTimestamp(value) {
+  const [, y, mo, d, h, mi, s] = value.match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/);
+  const date = new Date(Date.UTC(+y, +mo - 1, +d, +h, +mi, +s));
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// 2025-04-16T142825.147 -> Date (UTC, like the recording start)
+function parseExportTimestamp(value) {
+  const [, day, h, mi, s, ms] = value.match(/^(\d{4}-\d{2}-\d{2})T(\d{2})(\d{2})(\d{2})(\.\d+)?$/);
+  const date = new Date(`${day}T${h}:${mi}:${s}${ms || ''}Z`);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+const TEMPLATE_FIELDS = {
+  org: 'org',
+  site: 'site',
+  siteName: 'siteName',
+  vdr: 'vdr',
+  camera: 'camera',
+  vdrFile: 'vdrFile',
+  label: 'cameraLabel',
+};
+
+export const DEFAULT_FOLDER_TEMPLATE = '{camera}';
+export const FALLBACK_FOLDER = 'other-videos';
+
+const DATE_PLACEHOLDER = /^[yMdHms\-_.]+$/;
+
+// Placeholders in `template` that formatFolderPath does not know, e.g.
+// ['cam'] for `{org}/{cam}`
+export function unknownTemplatePlaceholders(template) {
+  return [...template.matchAll(/\{([^}]+)\}/g)]
+    .map(([, name]) => name)
+    .filter((name) => !TEMPLATE_FIELDS[name] && !DATE_PLACEHOLDER.test(name));
+}
+
+// Expands a folder-path template such as `{org}/{site}/{camera}/{yyyy-MM-dd}`
+// for a key. Placeholders are record fields (org, site, siteName, vdr, camera,
+// vdrFile, label) or a date pattern over the recording start built from
+// yyyy, MM, dd, HH, mm and ss. If any placeholder cannot be resolved the key
+// goes to the flat fallback folder, as it did before templates existed.
+export function formatFolderPath(key, template = DEFAULT_FOLDER_TEMPLATE) {
+  const record = parseVdrKey(key);
+  let unresolved = false;
+
+  const folderPath = template.replace(/\{([^}]+)\}/g, (_, name) => {
+    let value = null;
+    if (TEMPLATE_FIELDS[name]) {
+      value = record[TEMPLATE_FIELDS[name]];
+    } else if (DATE_PLACEHOLDER.test(name)) {
+      value = record.recordedAt ? formatDate(record.recordedAt, name) : null;
+    } else {
+      throw new Error(`Unknown folder template placeholder: {${name}}`);
+    }
+    if (!value) unresolved = true;
+    return value || '';
+  });
+
+  if (unresolved) return FALLBACK_FOLDER;
+  return folderPath
+    .split('/')
+    .filter((segment) => segment.length > 0)
+    .join('/');
+}
+
+function formatDate(date, pattern) {
+  const pad = (value) => value.toString().padStart(2, '0');
+  return pattern
+    .replace('yyyy', date.getUTCFullYear())
+    .replace('MM', pad(date.getUTCMonth() + 1))
+    .replace('dd', pad(date.getUTCDate()))
+    .replace('HH', pad(date.getUTCHours()))
+    .replace('mm', pad(date.getUTCMinutes()))
+    .replace('ss', pad(date.getUTCSeconds()));
+}
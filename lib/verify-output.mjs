@@ -0,0 +1,100 @@
+import { spawn } from 'child_process';
+import { existsSync, statSync } from 'fs';
+import { probeMedia } from './ffprobe.mjs';
+
+// ffmpeg exiting 0 does not guarantee a usable file (a killed encoder, a full
+// disk or a broken input can all leave a short or empty MP4 behind), so every
+// output is checked before it is uploaded and before the source is deleted.
+//
+//   VERIFY_DURATION_TOLERANCE   allowed duration difference in seconds (default 2,
+//                               or 1% of the input if that is larger)
+//   VERIFY_MIN_BYTES            smallest acceptable output (default 100KB)
+//   VERIFY_DECODE               set to `true` to also decode the whole output
+const DURATION_TOLERANCE = parseFloat(process.env.VERIFY_DURATION_TOLERANCE || '2');
+const MIN_BYTES = parseInt(process.env.VERIFY_MIN_BYTES || `${100 * 1024}`, 10);
+const DECODE_CHECK = process.env.VERIFY_DECODE === 'true';
+
+// Returns { ok, problems, outputProbe }; `expectedStreams` is the plan's
+// { video, audio } stream counts
+export async function verifyOutput(inputProbe, outputFile, expectedStreams) {
+  const problems = [];
+
+  if (!existsSync(outputFile)) {
+    return { ok: false, problems: ['output file is missing'], outputProbe: null };
+  }
+
+  const size = statSync(outputFile).size;
+  if (size < MIN_BYTES) {
+    problems.push(`output is only ${size} bytes (minimum ${MIN_BYTES})`);
+  }
+
+  let outputProbe = null;
+  try {
+    outputProbe = await probeMedia(outputFile);
+  } catch (error) {
+    problems.push(`ffprobe failed on output: ${error.message}`);
+    return { ok: false, problems, outputProbe };
+  }
+
+  const videoCount = outputProbe.streams.filter((stream) => stream.codec_type === 'video').length;
+  if (videoCount !== expectedStreams.video) {
+    problems.push(`expected ${expectedStreams.video} video stream(s), found ${videoCount}`);
+  }
+  if (outputProbe.audio.length !== expectedStreams.audio) {
+    problems.push(
+      `expected ${expectedStreams.audio} audio stream(s), found ${outputProbe.audio.length}`
+    );
+  }
+
+  const durationProblem = checkDuration(inputProbe, outputProbe.duration || 0);
+  if (durationProblem) problems.push(durationProblem);
+
+  if (DECODE_CHECK && problems.length === 0) {
+    const decodeError = await decodeCheck(outputFile);
+    if (decodeError) problems.push(`decode check failed: ${decodeError}`);
+  }
+
+  return { ok: problems.length === 0, problems, outputProbe };
+}
+
+function checkDuration(inputProbe, outputDuration) {
+  if (!inputProbe.duration) return null;
+  const tolerance = Math.max(DURATION_TOLERANCE, inputProbe.duration * 0.01);
+  if (Math.abs(outputDuration - inputProbe.duration) <= tolerance) return null;
+  return `duration ${outputDuration.toFixed(2)}s differs from input ${inputProbe.duration.toFixed(
+    2
+  )}s by more than ${tolerance.toFixed(2)}s`;
+}
+
+// A streamed output (see lib/stream-transcode.mjs) only exists in S3 once it
+// can be checked, so it is judged by what went through the pipe: its size and
+// the duration ffmpeg reported writing. Stream counts follow from the plan's
+// -map arguments, which ffmpeg refuses to run without.
+export function verifyStreamedOutput(inputProbe, { size, duration }) {
+  const problems = [];
+  if (size < MIN_BYTES) {
+    problems.push(`output is only ${size} bytes (minimum ${MIN_BYTES})`);
+  }
+  const durationProblem = checkDuration(inputProbe, duration || 0);
+  if (durationProblem) problems.push(durationProblem);
+  return { ok: problems.length === 0, problems };
+}
+
+// Decodes every frame to the null muxer; any error output means a damaged file
+function decodeCheck(filePath) {
+  return new Promise((resolve) => {
+    const decodeProcess = spawn('ffmpeg', ['-v', 'error', '-i', filePath, '-f', 'null', '-']);
+    let stderr = '';
+    decodeProcess.stderr.on('data', (data) => (stderr += data));
+    decodeProcess.on('error', (error) => resolve(error.message));
+    decodeProcess.on('close', (code) => {
+      if (code !== 0) {
+        resolve(`ffmpeg exited with code ${code}: ${stderr.trim().split('\n').pop()}`);
+      } else if (stderr.trim()) {
+        resolve(stderr.trim().split('\n')[0]);
+      } else {
+        resolve(null);
+      }
+    });
+  });
+}
@@ -0,0 +1,205 @@
+import os from 'os';
+import * as path from 'path';
+import { createLocalLeaseStore } from './lease-store-local.mjs';
+import { createS3LeaseStore } from './lease-store-s3.mjs';
+import { runPipeline } from './pipeline.mjs';
+
+// Work claiming for `--leases`: instead of taking every n-th key (--shard),
+// each instance goes through the whole key list and only works on the keys it
+// gets a lease on. Leases live in a shared store (a directory or an S3
+// prefix), last LEASE_TTL_SECONDS and are renewed while the key is worked on,
+// so the keys of an instance that dies are taken over once its leases
+// expire. Instances can join or leave at any time.
+//
+// A key whose outcome would not change by trying again (done, quarantined,
+// failed for good) keeps a `finished` lease, so a store is good for one run
+// over a key list; start the next run with a new location (or an empty one)
+// to retry those. Other keys are released for any instance to pick up.
+//
+// Each store implements:
+//
+//   label                        for logs
+//   create(key, record)          stores the lease if the key has none; its token or null
+//   read(key)                    { record, token } or null
+//   replace(key, record, token)  overwrites the lease if it still has `token`; the new
+//                                token or null
+//   remove(key, token)           deletes the lease if it still has `token`
+
+const LEASE_TTL_MS = parseFloat(process.env.LEASE_TTL_SECONDS || '300') * 1000;
+
+function leaseLostError(key) {
+  const error = new Error(`Lost the lease on ${key}`);
+  error.name = 'LeaseLostError';
+  error.retryable = false;
+  return error;
+}
+
+// `location` is a directory or s3://bucket/prefix; `s3` is the client for
+// the latter. `owner` and `ttl` (ms) are for tests.
+export function openLeases(
+  location,
+  { s3, owner = `${os.hostname()}:${process.pid}`, ttl = LEASE_TTL_MS } = {}
+) {
+  const match = /^s3:\/\/([^/]+)\/?(.*)$/.exec(location);
+  const store = match
+    ? createS3LeaseStore(
+        s3,
+        match[1],
+        match[2] && !match[2].endsWith('/') ? `${match[2]}/` : match[2]
+      )
+    : createLocalLeaseStore(path.resolve(location));
+  console.log(`🔒 Claiming keys through leases in ${store.label} as ${owner}`);
+
+  function activeRecord(key) {
+    return { key, owner, state: 'active', expiresAt: new Date(Date.now() + ttl).toISOString() };
+  }
+
+  // Keeps the lease alive until release(); its signal aborts if another
+  // instance takes it over
+  function hold(key, token) {
+    const controller = new AbortController();
+    const lease = { key, token, signal: controller.signal, renewing: Promise.resolve() };
+    lease.timer = setInterval(() => {
+      lease.renewing = store
+        .replace(key, activeRecord(key), lease.token)
+        .then((renewed) => {
+          if (renewed) {
+            lease.token = renewed;
+            return;
+          }
+          clearInterval(lease.timer);
+          console.warn(`\n⚠️ Lost the lease on ${key} to another instance; stopping its work`);
+          controller.abort(leaseLostError(key));
+        })
+        .catch((renewError) => {
+          // Tried again at the next interval, well before the lease expires
+          console.warn(`\n⚠️ Failed to renew the lease on ${key}: ${renewError.message}`);
+        });
+    }, ttl / 3);
+    lease.timer.unref();
+    return lease;
+  }
+
+  // Returns { lease } if this instance may work on the key, or { holder }
+  // (the current lease record) if it may not
+  async function claim(key) {
+    for (let attempt = 1; ; attempt++) {
+      const token = await store.create(key, activeRecord(key));
+      if (token) return { lease: hold(key, token) };
+
+      const current = await store.read(key);
+      if (!current) {
+        // Released in the meantime
+        if (attempt < 3) continue;
+        return { holder: null };
+      }
+      const { record } = current;
+      if (record.state === 'finished' || Date.parse(record.expiresAt) > Date.now()) {
+        return { holder: record };
+      }
+      const taken = await store.replace(key, activeRecord(key), current.token);
+      if (!taken) return { holder: record };
+      console.log(`♻️ Took over the expired lease of ${record.owner} on ${key}`);
+      return { lease: hold(key, taken) };
+    }
+  }
+
+  // `finished` keeps the key from being claimed again (see above)
+  async function release(lease, { finished = false, outcome } = {}) {
+    clearInterval(lease.timer);
+    await lease.renewing;
+    if (lease.signal.aborted) return;
+    try {
+      if (finished) {
+        await store.replace(
+          lease.key,
+          {
+            key: lease.key,
+            owner,
+            state: 'finished',
+            outcome,
+            finishedAt: new Date().toISOString(),
+          },
+          lease.token
+        );
+      } else {
+        await store.remove(lease.key, lease.token);
+      }
+    } catch (releaseError) {
+      // It expires on its own
+      console.error(`❌ Failed to release the lease on ${lease.key}: ${releaseError.message}`);
+    }
+  }
+
+  return { store, owner, ttl, claim, release };
+}
+
+// runPipeline over the keys this instance gets a lease on. The first stage
+// claims the key before it runs; keys leased by other instances are tried
+// again in later passes, in case their leases expire, until none are left.
+// Jobs get their lease's signal as `job.signal` (with the pipeline's), and
+// `outcome(key)` names a finished key's outcome or returns null to release it.
+export async function runLeasedPipeline(keys, stages, leases, { onFinish, outcome, signal } = {}) {
+  const attempted = new Set();
+  let pending = keys;
+  while (pending.length > 0) {
+    // Key -> lease record of the instance holding it
+    const held = new Map();
+    const [first, ...rest] = stages;
+    const claiming = {
+      ...first,
+      run: async (job) => {
+        const { lease, holder } = await leases.claim(job.item);
+        if (!lease) {
+          // A null holder (a lease that kept changing hands) is tried again too
+          if (holder?.state !== 'finished') held.set(job.item, holder);
+          return false;
+        }
+        attempted.add(job.item);
+        job.lease = lease;
+        job.signal = signal ? AbortSignal.any([signal, lease.signal]) : lease.signal;
+        return first.run(job);
+      },
+    };
+
+    await runPipeline(pending, [claiming, ...rest], {
+      signal,
+      onFinish: async (job, error) => {
+        if (!job.lease) return;
+        try {
+          if (onFinish) await onFinish(job, error);
+        } finally {
+          const finishedAs = outcome ? outcome(job.item) : null;
+          await leases.release(job.lease, { finished: Boolean(finishedAs), outcome: finishedAs });
+        }
+      },
+    });
+
+    pending = keys.filter((key) => held.has(key) && !attempted.has(key));
+    if (pending.length === 0 || signal?.aborted) break;
+
+    // Check again once the first of those leases could have expired; one
+    // whose holder is unknown could have been taken just now
+    const expiries = [...held.values()].map((record) =>
+      record ? Date.parse(record.expiresAt) || 0 : Date.now() + leases.ttl
+    );
+    const delay = Math.min(leases.ttl, Math.max(1000, Math.min(...expiries) - Date.now()));
+    console.log(
+      `⏳ ${pending.length} key(s) leased by other instances; checking again in ${(
+        delay / 1000
+      ).toFixed(0)}s`
+    );
+    await new Promise((resolve) => {
+      const timer = setTimeout(resolve, delay);
+      signal?.addEventListener(
+        'abort',
+        () => {
+          clearTimeout(timer);
+          resolve();
+        },
+        { once: true }
+      );
+    });
+    if (signal?.aborted) break;
+  }
+}
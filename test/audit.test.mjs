@@ -0,0 +1,80 @@
+import './helpers/env.mjs';
+import assert from 'assert/strict';
+import { existsSync } from 'fs';
+import { readFile, rm } from 'fs/promises';
+import * as path from 'path';
+import { beforeEach, describe, test } from 'node:test';
+import { runAudit } from '../commands/audit.mjs';
+import { createFakeDrive, driveError } from './helpers/fake-drive.mjs';
+import { createFakeS3 } from './helpers/fake-s3.mjs';
+import { convertedKey, vdrKey } from './helpers/fixtures.mjs';
+
+const BUCKET = 'recordings';
+const RERUN_FILE = 'rerun_list.txt';
+
+let s3;
+let drive;
+
+function auditConfig() {
+  return {
+    command: 'audit',
+    bucket: BUCKET,
+    region: 'us-east-1',
+    driveFolderId: drive.rootFolderId,
+    folderTemplate: '{camera}',
+    inputEnv: { INPUT_PREFIXES: 'Acme/' },
+    destinations: ['drive'],
+  };
+}
+
+const auditOptions = {
+  naming: 'transcode',
+  report: 'audit-report.json',
+  rerun: RERUN_FILE,
+  skipSizes: true,
+};
+
+beforeEach(async () => {
+  s3 = createFakeS3();
+  drive = createFakeDrive();
+  await rm(RERUN_FILE, { force: true });
+});
+
+describe('audit', () => {
+  test('lists the keys missing from Drive for a re-run', async () => {
+    const delivered = vdrKey({ camera: 2001, label: 'Lobby' });
+    const missing = vdrKey({ camera: 2002, label: 'Garage' });
+    for (const key of [delivered, missing]) s3.putObject(BUCKET, key, 'source');
+    drive.addFile(path.basename(convertedKey(delivered)), drive.addFolder('camera-2001').id, 'out');
+
+    await runAudit(auditConfig(), auditOptions, { s3, drive });
+
+    assert.equal(await readFile(RERUN_FILE, 'utf-8'), missing);
+  });
+
+  test('writes a CSV report, quoting values that need it', async () => {
+    const key = vdrKey({ camera: 2004, label: 'Door, East' });
+    s3.putObject(BUCKET, key, 'source');
+
+    await runAudit(auditConfig(), { ...auditOptions, report: 'audit-report.csv' }, { s3, drive });
+
+    const [header, row] = (await readFile('audit-report.csv', 'utf-8')).split('\n');
+    assert.equal(
+      header,
+      'category,key,fileName,folderPath,driveFolders,driveFileId,size,expectedSize'
+    );
+    assert.equal(row, `missing,"${key}","${path.basename(convertedKey(key))}",camera-2004,,,,`);
+  });
+
+  test('fails instead of reporting keys it could not list as missing', async () => {
+    const key = vdrKey({ camera: 2003 });
+    s3.putObject(BUCKET, key, 'source');
+    drive.addFile(path.basename(convertedKey(key)), drive.addFolder('camera-2003').id, 'out');
+    drive.failNext('files.list', undefined, driveError(503, 'backendError'), 100);
+
+    await assert.rejects(runAudit(auditConfig(), auditOptions, { s3, drive }), {
+      message: 'Backend Error',
+    });
+    assert.equal(existsSync(RERUN_FILE), false);
+  });
+});
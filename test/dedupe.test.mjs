@@ -0,0 +1,300 @@
+import './helpers/env.mjs';
+import assert from 'assert/strict';
+import { existsSync } from 'fs';
+import { readFile, rm } from 'fs/promises';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import { batchDeleteFiles, batchTrashFiles, runDedupe } from '../commands/dedupe.mjs';
+import { findDuplicates, toDedupeOptions } from '../lib/dedupe.mjs';
+import { openDriveJournal, undoRun } from '../lib/drive-journal.mjs';
+import { createFakeDrive, driveError } from './helpers/fake-drive.mjs';
+
+const JOURNAL_FILE = 'drive-journal.jsonl';
+const REPORT_FILE = 'dedupe-report.json';
+
+let drive;
+
+function dedupeOptions(values = {}) {
+  return toDedupeOptions({
+    'group-by': 'name-and-content',
+    keep: 'first',
+    action: 'trash',
+    verify: false,
+    'dry-run': false,
+    yes: true,
+    report: REPORT_FILE,
+    ...values,
+  });
+}
+
+function file(id, name, md5Checksum, fields = {}) {
+  return { id, name, md5Checksum, size: '10', parentId: 'folder', ...fields };
+}
+
+beforeEach(async () => {
+  drive = createFakeDrive();
+  await rm(JOURNAL_FILE, { force: true });
+  await rm(REPORT_FILE, { force: true });
+});
+
+afterEach(() => {
+  process.exitCode = 0;
+});
+
+describe('findDuplicates', () => {
+  test('groups files with the same name and content', () => {
+    const { duplicateMap, conflicts } = findDuplicates([
+      file('1', 'a.mp4', 'aaa'),
+      file('2', 'a.mp4', 'aaa'),
+      file('3', 'b.mp4', 'aaa'),
+    ]);
+
+    assert.deepEqual(Object.keys(duplicateMap), ['a.mp4']);
+    assert.deepEqual(
+      duplicateMap['a.mp4'].map((f) => f.id),
+      ['1', '2']
+    );
+    assert.deepEqual(conflicts, []);
+  });
+
+  test('reports same-name files with different content as conflicts', () => {
+    const { duplicateMap, conflicts } = findDuplicates([
+      file('1', 'a.mp4', 'aaa'),
+      file('2', 'a.mp4', 'aaa'),
+      file('3', 'a.mp4', 'bbb'),
+    ]);
+
+    assert.deepEqual(Object.keys(duplicateMap), ['a.mp4 (md5 aaa)']);
+    assert.equal(conflicts.length, 1);
+    assert.equal(conflicts[0].reason, 'same name, different content');
+    assert.equal(conflicts[0].files.length, 3);
+  });
+
+  test('does not compare files without an md5Checksum', () => {
+    const { duplicateMap, conflicts } = findDuplicates([
+      file('1', 'notes', null),
+      file('2', 'notes', null),
+    ]);
+
+    assert.deepEqual(duplicateMap, {});
+    assert.equal(conflicts[0].reason, 'no md5Checksum to compare');
+  });
+
+  test('groups by content alone across names', () => {
+    const { duplicateMap } = findDuplicates(
+      [file('1', 'a.mp4', 'aaa'), file('2', 'b.mp4', 'aaa'), file('3', 'c.mp4', 'ccc')],
+      'content'
+    );
+
+    assert.deepEqual(Object.keys(duplicateMap), ['a.mp4 (md5 aaa)']);
+    assert.equal(duplicateMap['a.mp4 (md5 aaa)'].length, 2);
+  });
+});
+
+describe('runDedupe', () => {
+  test('trashes all but the kept copy, journals it and writes a report', async () => {
+    const camera = drive.addFolder('camera-1001');
+    const other = drive.addFolder('camera-1002');
+    const oldest = drive.addFile('clip.mp4', camera.id, 'same bytes');
+    const copy = drive.addFile('clip.mp4', other.id, 'same bytes');
+    const unique = drive.addFile('other.mp4', camera.id, 'other bytes');
+
+    await runDedupe({ driveFolderId: drive.rootFolderId }, dedupeOptions({ keep: 'oldest' }), {
+      drive,
+    });
+
+    assert.equal(drive.file(oldest.id).trashed, false);
+    assert.equal(drive.file(copy.id).trashed, true);
+    assert.equal(drive.file(unique.id).trashed, false);
+    assert.equal(process.exitCode, 0);
+
+    const report = JSON.parse(await readFile(REPORT_FILE, 'utf-8'));
+    assert.equal(report.groups.length, 1);
+    assert.equal(report.groups[0].keep.id, oldest.id);
+    assert.deepEqual(
+      report.groups[0].duplicates.map((d) => [d.id, d.status]),
+      [[copy.id, 'trashed']]
+    );
+
+    const journal = await openDriveJournal(JOURNAL_FILE);
+    const [entry] = journal.entries();
+    assert.equal(entry.action, 'trash');
+    assert.equal(entry.fileId, copy.id);
+    assert.deepEqual(entry.parents, [other.id]);
+    assert.equal(journal.runs().length, 1);
+  });
+
+  test('changes nothing on a dry run', async () => {
+    drive.addFile('clip.mp4', drive.rootFolderId, 'same bytes');
+    const copy = drive.addFile('clip.mp4', drive.rootFolderId, 'same bytes');
+
+    await runDedupe({ driveFolderId: drive.rootFolderId }, dedupeOptions({ 'dry-run': true }), {
+      drive,
+    });
+
+    assert.equal(drive.file(copy.id).trashed, false);
+    assert.equal(drive.callsTo('files.update').length, 0);
+    const report = JSON.parse(await readFile(REPORT_FILE, 'utf-8'));
+    assert.equal(report.groups[0].duplicates[0].status, 'dry-run');
+  });
+
+  test('leaves conflicting copies alone', async () => {
+    const first = drive.addFile('clip.mp4', drive.rootFolderId, 'one');
+    const second = drive.addFile('clip.mp4', drive.rootFolderId, 'two');
+
+    await runDedupe({ driveFolderId: drive.rootFolderId }, dedupeOptions(), { drive });
+
+    assert.equal(drive.file(first.id).trashed, false);
+    assert.equal(drive.file(second.id).trashed, false);
+    const report = JSON.parse(await readFile(REPORT_FILE, 'utf-8'));
+    assert.equal(report.conflicts.length, 1);
+  });
+
+  test('fails the run when a duplicate cannot be trashed', async () => {
+    drive.addFile('clip.mp4', drive.rootFolderId, 'same bytes');
+    const copy = drive.addFile('clip.mp4', drive.rootFolderId, 'same bytes');
+    drive.failNext(
+      'files.update',
+      copy.id,
+      driveError(403, 'insufficientFilePermissions', copy.id)
+    );
+
+    await runDedupe({ driveFolderId: drive.rootFolderId }, dedupeOptions(), { drive });
+
+    assert.equal(drive.file(copy.id).trashed, false);
+    assert.equal(process.exitCode, 1);
+  });
+
+  test('fails the run without a report when the folder cannot be listed', async () => {
+    drive.addFile('clip.mp4', drive.rootFolderId, 'same bytes');
+    drive.addFile('clip.mp4', drive.rootFolderId, 'same bytes');
+    drive.failNext('files.list', undefined, driveError(403, 'insufficientFilePermissions'));
+
+    await assert.rejects(
+      runDedupe({ driveFolderId: drive.rootFolderId }, dedupeOptions(), { drive }),
+      { status: 403 }
+    );
+    assert.equal(existsSync(REPORT_FILE), false);
+  });
+});
+
+// 12 files span two batches: 9 succeed, one is unknown, one is not ours and
+// one hits a backend error
+function batchFixture(operation) {
+  const ids = [];
+  for (let i = 0; i < 11; i++) ids.push(drive.addFile(`clip-${i}.mp4`).id);
+  ids.push('missing-file');
+  drive.failNext(operation, ids[3], driveError(403, 'insufficientFilePermissions', ids[3]));
+  drive.failNext(operation, ids[10], driveError(500, 'backendError'));
+  return ids;
+}
+
+describe('batch trash and delete', () => {
+  test('batchTrashFiles counts every outcome once', async () => {
+    const ids = batchFixture('files.update');
+
+    const results = await batchTrashFiles(drive, ids);
+
+    assert.equal(results.success, 9);
+    assert.equal(results.notFound, 1);
+    assert.equal(results.permissionDenied, 1);
+    assert.equal(results.otherErrors, 1);
+    assert.equal(results.outcomes.length, ids.length);
+    assert.equal(drive.file(ids[0]).trashed, true);
+    assert.equal(drive.file(ids[3]).trashed, false);
+  });
+
+  test('batchDeleteFiles counts every outcome once', async () => {
+    const ids = batchFixture('files.delete');
+
+    const results = await batchDeleteFiles(drive, ids);
+
+    assert.equal(results.success, 9);
+    assert.equal(results.notFound, 1);
+    assert.equal(results.permissionDenied, 1);
+    assert.equal(results.otherErrors, 1);
+    assert.equal(results.outcomes.length, ids.length);
+    assert.equal(drive.file(ids[0]), null);
+    assert.ok(drive.file(ids[3]));
+  });
+
+  test('journals each outcome', async () => {
+    const ids = batchFixture('files.update');
+    const journal = await openDriveJournal(JOURNAL_FILE);
+
+    await batchTrashFiles(drive, ids, { journal });
+
+    const entries = journal.entries();
+    assert.equal(entries.filter((entry) => entry.status === 'pending').length, ids.length);
+    const statuses = entries
+      .filter((entry) => entry.status !== 'pending')
+      .map((entry) => entry.status);
+    assert.equal(statuses.length, ids.length);
+    assert.equal(statuses.filter((status) => status === 'success').length, 9);
+  });
+
+  test('returns zero counts for no files', async () => {
+    for (const batch of [batchTrashFiles, batchDeleteFiles]) {
+      assert.deepEqual(await batch(drive, []), {
+        success: 0,
+        notFound: 0,
+        permissionDenied: 0,
+        otherErrors: 0,
+        outcomes: [],
+      });
+    }
+    assert.equal(drive.calls.length, 0);
+  });
+});
+
+describe('undo', () => {
+  test('restores a trash that went through although its request failed', async () => {
+    const file = drive.addFile('clip.mp4', drive.rootFolderId, 'bytes');
+    // Drive applies the change, but the response never arrives
+    const update = drive.files.update;
+    drive.files.update = async (params) => {
+      await update(params);
+      throw driveError(503, 'backendError');
+    };
+    const journal = await openDriveJournal(JOURNAL_FILE);
+    await batchTrashFiles(drive, [file.id], { journal });
+    drive.files.update = update;
+    assert.equal(drive.file(file.id).trashed, true);
+
+    const outcomes = await undoRun(drive, journal, journal.runId);
+
+    assert.deepEqual(
+      outcomes.map(({ result }) => result),
+      ['restored']
+    );
+    assert.equal(drive.file(file.id).trashed, false);
+  });
+
+  test('checks operations a crash left pending', async () => {
+    const trashed = drive.addFile('a.mp4', drive.rootFolderId, 'bytes');
+    const untouched = drive.addFile('b.mp4', drive.rootFolderId, 'bytes');
+    const renamed = drive.addFile('c.mp4', drive.rootFolderId, 'bytes');
+    const crashed = await openDriveJournal(JOURNAL_FILE);
+    crashed.intend('trash', { id: trashed.id, name: 'a.mp4' });
+    crashed.intend('trash', { id: untouched.id, name: 'b.mp4' });
+    crashed.intend('rename', { id: renamed.id, name: 'c.mp4' }, { newName: 'c.mp4 (x)' });
+    await drive.files.update({ fileId: trashed.id, resource: { trashed: true } });
+    await drive.files.update({ fileId: renamed.id, resource: { name: 'c.mp4 (x)' } });
+
+    const journal = await openDriveJournal(JOURNAL_FILE);
+    const [run] = journal.runs();
+    assert.equal(run.undoable, 3);
+    const outcomes = await undoRun(drive, journal, run.runId);
+
+    assert.deepEqual(
+      outcomes.map(({ entry, result }) => [entry.fileId, result]),
+      [
+        [renamed.id, 'reverted'],
+        [untouched.id, 'not-applied'],
+        [trashed.id, 'restored'],
+      ]
+    );
+    assert.equal(drive.file(trashed.id).trashed, false);
+    assert.equal(drive.file(renamed.id).name, 'c.mp4');
+    assert.equal(journal.runs()[0].undone, 3);
+  });
+});
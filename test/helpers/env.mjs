@@ -0,0 +1,49 @@
+import { mkdtempSync, rmSync } from 'fs';
+import os from 'os';
+import * as path from 'path';
+
+// Imported first by every test file. The modules under test read their
+// settings once at import time, so these have to be in place before any of
+// them load. Runs write ledgers, journals and their scratch directory under
+// the working directory, hence a temporary one.
+
+// Settings from the developer's shell or .env must not leak into the tests
+for (const name of [
+  'DISK_SPACE_POLL_SECONDS',
+  'DRIVE_JOURNAL_FILE',
+  'ENCODING_PROFILE',
+  'ENCODING_PROFILES_FILE',
+  'LEDGER_FILE',
+  'MAX_LOCAL_DISK_GB',
+  'QUARANTINE_DIR',
+  'SCRATCH_DIR',
+  'VERIFY_CHECKSUMS',
+  'VERIFY_DECODE',
+]) {
+  delete process.env[name];
+}
+
+// Retries back off for milliseconds instead of seconds
+process.env.RETRY_BASE_DELAY_MS = '1';
+process.env.RETRY_MAX_DELAY_MS = '5';
+process.env.DRIVE_FOLDER_SETTLE_MS = '0';
+// Synthetic videos are a few KB
+process.env.VERIFY_MIN_BYTES = '1024';
+// Whatever the test machine has free will do, and a reservation that does
+// not fit fails instead of waiting
+process.env.MIN_FREE_DISK_GB = '0';
+process.env.DISK_SPACE_ACTION = 'fail';
+
+export const workDir = mkdtempSync(path.join(os.tmpdir(), 'bitrate-convert-test-'));
+process.chdir(workDir);
+process.on('exit', () => rmSync(workDir, { recursive: true, force: true }));
+
+// The tools log every step to stdout, which `node --test` also uses to
+// receive results from each test file; interleaved progress lines can garble
+// that stream. Only the runner's own (Buffer) writes go through, unless
+// TEST_VERBOSE is set.
+if (!process.env.TEST_VERBOSE) {
+  const write = process.stdout.write.bind(process.stdout);
+  process.stdout.write = (chunk, ...rest) =>
+    typeof chunk === 'string' ? true : write(chunk, ...rest);
+}
@@ -0,0 +1,343 @@
+import { createHash } from 'crypto';
+
+// In-process stand-in for the Drive v3 `files` endpoints the tools call
+// (list, get, create, update, delete) and for the resumable upload protocol,
+// which lib/drive-upload.mjs speaks through the auth client's `request`. It
+// has the shape of google.drive({ version: 'v3', auth }), so it can be handed
+// to anything that takes a `drive`.
+//
+// `q` supports the clauses the tools use, joined by `and`:
+//   '<id>' in parents, name='<name>', mimeType='<type>', trashed=<bool>
+//
+//   const drive = createFakeDrive();
+//   const folder = drive.addFolder('camera-1008');
+//   drive.addFile('clip_converted.mp4', folder.id, buffer);
+//   drive.failNext('files.update', fileId, driveError(403, 'insufficientFilePermissions'));
+
+export const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+const UPLOAD_URL = 'https://www.googleapis.com/upload/drive/v3/files';
+
+const DRIVE_MESSAGES = {
+  notFound: (fileId) => `File not found: ${fileId}.`,
+  insufficientFilePermissions: (fileId) =>
+    `The user does not have sufficient permissions for file ${fileId}.`,
+  backendError: () => 'Backend Error',
+};
+
+// Errors shaped like the GaxiosErrors googleapis throws
+export function driveError(status, reason, fileId = '') {
+  const message = DRIVE_MESSAGES[reason] ? DRIVE_MESSAGES[reason](fileId) : reason;
+  const error = new Error(message);
+  error.code = status;
+  error.status = status;
+  error.errors = [{ reason, message }];
+  error.response = { status, data: { error: { code: status, message, errors: error.errors } } };
+  return error;
+}
+
+function md5(buffer) {
+  return createHash('md5').update(buffer).digest('hex');
+}
+
+// Splits a `q` string on `and` outside quotes and parses each clause
+function parseQuery(q) {
+  const clauses = [];
+  let current = '';
+  let quoted = false;
+  for (let i = 0; i < q.length; i++) {
+    const char = q[i];
+    if (char === '\\' && quoted) {
+      current += char + q[++i];
+      continue;
+    }
+    if (char === "'") quoted = !quoted;
+    if (!quoted && q.slice(i, i + 5) === ' and ') {
+      clauses.push(current.trim());
+      current = '';
+      i += 4;
+      continue;
+    }
+    current += char;
+  }
+  if (current.trim()) clauses.push(current.trim());
+
+  const unquote = (value) => value.slice(1, -1).replace(/\\(.)/g, '$1');
+  return clauses.map((clause) => {
+    let match = clause.match(/^('(?:[^'\\]|\\.)*') in parents$/);
+    if (match) return (file) => file.parents.includes(unquote(match[1]));
+    match = clause.match(/^(name|mimeType)\s*(!?=)\s*('(?:[^'\\]|\\.)*')$/);
+    if (match) {
+      const [, field, operator, value] = match;
+      return (file) => (file[field] === unquote(value)) === (operator === '=');
+    }
+    match = clause.match(/^trashed\s*=\s*(true|false)$/);
+    if (match) return (file) => file.trashed === (match[1] === 'true');
+    throw new Error(`Fake Drive does not understand the query clause: ${clause}`);
+  });
+}
+
+export function createFakeDrive({ rootFolderId = 'root-folder', rootName = 'Destination' } = {}) {
+  // id -> { id, name, mimeType, parents, trashed, createdTime, modifiedTime, content, ... }
+  const files = new Map();
+  // sessionUri -> { metadata, mimeType, size, chunks, received, file }
+  const sessions = new Map();
+  // [{ operation, fileId, error, times }]
+  const faults = [];
+  const calls = [];
+  let nextId = 1;
+  // Deterministic, strictly increasing timestamps so `orderBy createdTime` is stable
+  let clock = Date.parse('2024-01-01T00:00:00Z');
+
+  const now = () => new Date((clock += 1000)).toISOString();
+
+  function store(fields, content = null) {
+    const id = fields.id || `file-${nextId++}`;
+    const createdTime = fields.createdTime || now();
+    const file = {
+      id,
+      name: fields.name,
+      mimeType: fields.mimeType || 'application/octet-stream',
+      parents: fields.parents || [rootFolderId],
+      trashed: false,
+      createdTime,
+      modifiedTime: fields.modifiedTime || createdTime,
+      webViewLink: `https://drive.google.com/file/d/${id}/view`,
+      content,
+    };
+    if (file.mimeType !== FOLDER_MIME_TYPE) {
+      const bytes = content || Buffer.alloc(0);
+      file.size = String(fields.size ?? bytes.length);
+      file.md5Checksum = fields.md5Checksum === undefined ? md5(bytes) : fields.md5Checksum;
+    }
+    files.set(id, file);
+    return file;
+  }
+
+  // What the API returns: the resource without our stored bytes
+  function resource(file) {
+    const fields = { ...file };
+    delete fields.content;
+    return fields;
+  }
+
+  function takeFault(operation, fileId) {
+    const index = faults.findIndex(
+      (fault) =>
+        fault.operation === operation && (fault.fileId === undefined || fault.fileId === fileId)
+    );
+    if (index === -1) return null;
+    const fault = faults[index];
+    if (--fault.times <= 0) faults.splice(index, 1);
+    return fault.error;
+  }
+
+  async function call(operation, params, handler) {
+    calls.push({ operation, params });
+    const error = takeFault(operation, params.fileId);
+    if (error) throw error;
+    return { status: 200, data: handler() };
+  }
+
+  function existing(fileId) {
+    const file = files.get(fileId);
+    if (!file) throw driveError(404, 'notFound', fileId);
+    return file;
+  }
+
+  const filesApi = {
+    list: (params = {}) =>
+      call('files.list', params, () => {
+        const filters = params.q ? parseQuery(params.q) : [];
+        let matches = [...files.values()].filter((file) => filters.every((test) => test(file)));
+        if ((params.orderBy || '').includes('createdTime')) {
+          matches = matches.sort((a, b) => (a.createdTime < b.createdTime ? -1 : 1));
+        }
+        const pageSize = params.pageSize || 100;
+        const start = params.pageToken ? parseInt(params.pageToken, 10) : 0;
+        const end = start + pageSize;
+        return {
+          files: matches.slice(start, end).map(resource),
+          nextPageToken: end < matches.length ? String(end) : undefined,
+        };
+      }),
+
+    get: (params) => call('files.get', params, () => resource(existing(params.fileId))),
+
+    create: (params) =>
+      call('files.create', params, () => {
+        const fields = params.requestBody || params.resource || {};
+        return resource(store(fields, params.media ? Buffer.from(params.media.body) : null));
+      }),
+
+    update: (params) =>
+      call('files.update', params, () => {
+        const file = existing(params.fileId);
+        const changes = params.requestBody || params.resource || {};
+        if (changes.name !== undefined) file.name = changes.name;
+        if (changes.trashed !== undefined) file.trashed = changes.trashed;
+        if (params.addParents) file.parents.push(...params.addParents.split(','));
+        if (params.removeParents) {
+          const removed = params.removeParents.split(',');
+          file.parents = file.parents.filter((parent) => !removed.includes(parent));
+        }
+        file.modifiedTime = now();
+        return resource(file);
+      }),
+
+    delete: (params) =>
+      call('files.delete', params, () => {
+        existing(params.fileId);
+        files.delete(params.fileId);
+        return '';
+      }),
+  };
+
+  // The resumable protocol: POST opens a session, PUTs with Content-Range
+  // append chunks (308 + Range while incomplete), `bytes */<size>` asks for
+  // the session's status
+  function respond(options, status, { headers = {}, body = '' } = {}) {
+    const validateStatus = options.validateStatus || ((code) => code >= 200 && code < 300);
+    const response = {
+      status,
+      headers,
+      data: typeof body === 'string' ? body : JSON.stringify(body),
+    };
+    if (!validateStatus(status)) {
+      const error = new Error(`Request failed with status code ${status}`);
+      error.response = response;
+      error.status = status;
+      throw error;
+    }
+    return response;
+  }
+
+  function rangeHeaders(session) {
+    return session.received > 0 ? { range: `bytes=0-${session.received - 1}` } : {};
+  }
+
+  // A corrupted session stores extra bytes, so Drive's md5Checksum no longer
+  // matches what was sent
+  function finishSession(session) {
+    const content = Buffer.concat(session.chunks);
+    session.file = store(
+      { ...session.metadata, mimeType: session.mimeType },
+      session.corrupt ? Buffer.concat([content, Buffer.from('corrupted')]) : content
+    );
+    return resource(session.file);
+  }
+
+  let corruptUploads = 0;
+  const auth = {
+    async request(options) {
+      const headers = options.headers || {};
+      if (options.method === 'POST' && options.url === UPLOAD_URL) {
+        calls.push({ operation: 'upload.start', params: options.data });
+        const error = takeFault('upload.start');
+        if (error) throw error;
+        const sessionUri = `${UPLOAD_URL}?upload_id=session-${sessions.size + 1}`;
+        const corrupt = corruptUploads > 0;
+        if (corrupt) corruptUploads--;
+        sessions.set(sessionUri, {
+          metadata: options.data,
+          mimeType: headers['X-Upload-Content-Type'],
+          size: parseInt(headers['X-Upload-Content-Length'], 10),
+          chunks: [],
+          received: 0,
+          file: null,
+          corrupt,
+        });
+        return respond(options, 200, { headers: { location: sessionUri } });
+      }
+
+      const session = sessions.get(options.url);
+      if (options.method !== 'PUT' || !session) return respond(options, 404);
+      calls.push({ operation: 'upload.chunk', params: { url: options.url, headers } });
+      const error = takeFault('upload.chunk');
+      if (error) throw error;
+
+      const range = headers['Content-Range'];
+      const data = options.data ? Buffer.from(options.data) : Buffer.alloc(0);
+      if (session.file) return respond(options, 200, { body: resource(session.file) });
+
+      const chunk = range.match(/^bytes (\d+)-(\d+)\/(\d+)$/);
+      if (chunk && parseInt(chunk[1], 10) === session.received) {
+        session.chunks.push(data);
+        session.received += data.length;
+      }
+      if (session.received >= session.size && (chunk || session.size === 0)) {
+        return respond(options, 200, { body: finishSession(session) });
+      }
+      return respond(options, 308, { headers: rangeHeaders(session) });
+    },
+  };
+
+  store({ id: rootFolderId, name: rootName, mimeType: FOLDER_MIME_TYPE, parents: [] });
+
+  return {
+    files: filesApi,
+    // Where googleapis keeps the auth client; lib/drive-upload.mjs reads it
+    context: { _options: { auth } },
+
+    rootFolderId,
+    calls,
+
+    addFolder(name, parentId = rootFolderId) {
+      return resource(store({ name, mimeType: FOLDER_MIME_TYPE, parents: [parentId] }));
+    },
+
+    // `content` is a Buffer or string; `fields` can override size,
+    // md5Checksum, createdTime, modifiedTime or mimeType
+    addFile(name, parentId = rootFolderId, content = '', fields = {}) {
+      return resource(store({ name, parents: [parentId], ...fields }, Buffer.from(content)));
+    },
+
+    file(fileId) {
+      return files.get(fileId) || null;
+    },
+
+    // Untrashed files (not folders) directly inside the folder
+    filesIn(folderId) {
+      return [...files.values()].filter(
+        (file) =>
+          file.parents.includes(folderId) && !file.trashed && file.mimeType !== FOLDER_MIME_TYPE
+      );
+    },
+
+    // Resolves `a/b/c` from the root to a folder, or null
+    folderAt(folderPath) {
+      let parentId = rootFolderId;
+      for (const name of folderPath.split('/')) {
+        const folder = [...files.values()].find(
+          (file) =>
+            file.name === name &&
+            file.mimeType === FOLDER_MIME_TYPE &&
+            file.parents.includes(parentId) &&
+            !file.trashed
+        );
+        if (!folder) return null;
+        parentId = folder.id;
+      }
+      return files.get(parentId);
+    },
+
+    // The next `times` matching operations throw `error`. Operations are
+    // files.list, files.get, files.create, files.update, files.delete,
+    // upload.start and upload.chunk; `fileId` narrows files.* faults.
+    failNext(operation, fileId, error, times = 1) {
+      faults.push({ operation, fileId, error, times });
+    },
+
+    clearFaults() {
+      faults.length = 0;
+    },
+
+    // The next `count` resumable uploads arrive corrupted
+    corruptNextUploads(count = 1) {
+      corruptUploads += count;
+    },
+
+    callsTo(operation) {
+      return calls.filter((entry) => entry.operation === operation);
+    },
+  };
+}
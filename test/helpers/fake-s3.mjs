@@ -0,0 +1,225 @@
+import { S3Client } from '@aws-sdk/client-s3';
+import { createHash } from 'crypto';
+import { Readable } from 'stream';
+
+// In-process stand-in for the S3 calls the tools make: GetObject (including
+// ranged reads), HeadObject, ListObjectsV2, PutObject and DeleteObject (both
+// with IfMatch/IfNoneMatch conditions). It is a
+// real S3Client (the SDK paginators and lib-storage insist on one) whose `send`
+// answers from memory, so nothing leaves the process. Objects are single-part: their ETag is the
+// MD5 of the body, as S3 reports it for a PutObject.
+//
+//   const s3 = createFakeS3();
+//   s3.putObject('bucket', 'a/b.avi', buffer);
+//   await runTranscode(config, { s3 });
+//   s3.failNext('GetObjectCommand', 'a/b.avi', s3Error('SlowDown', 503));
+//
+// An `abortSignal` passed to send() cuts the returned Body off, as it would
+// the SDK's socket.
+
+export function s3Error(name, status, message = name) {
+  const error = new Error(message);
+  error.name = name;
+  error.Code = name;
+  error.$metadata = { httpStatusCode: status };
+  return error;
+}
+
+function abortError() {
+  const error = new Error('Request aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+async function toBuffer(body) {
+  if (body === undefined || body === null) return Buffer.alloc(0);
+  if (typeof body === 'string' || body instanceof Uint8Array) return Buffer.from(body);
+  const chunks = [];
+  for await (const chunk of body) chunks.push(Buffer.from(chunk));
+  return Buffer.concat(chunks);
+}
+
+export function createFakeS3({ region = 'us-east-1' } = {}) {
+  // bucket -> Map<key, { body, etag, contentType, metadata, lastModified }>
+  const buckets = new Map();
+  // [{ command, key, error, times }]
+  const faults = [];
+  // Every command sent, as { command, input }
+  const calls = [];
+  // key -> { bytes, resolve } for the next full GetObject that stalls
+  const stalls = new Map();
+
+  function bucketOf(name) {
+    if (!buckets.has(name)) buckets.set(name, new Map());
+    return buckets.get(name);
+  }
+
+  function putObject(bucket, key, body, { contentType, metadata = {} } = {}) {
+    const buffer = Buffer.from(body);
+    const object = {
+      body: buffer,
+      etag: `"${createHash('md5').update(buffer).digest('hex')}"`,
+      contentType: contentType || 'binary/octet-stream',
+      metadata,
+      lastModified: new Date(),
+    };
+    bucketOf(bucket).set(key, object);
+    return object;
+  }
+
+  function takeFault(command, key) {
+    const index = faults.findIndex(
+      (fault) => fault.command === command && (fault.key === undefined || fault.key === key)
+    );
+    if (index === -1) return null;
+    const fault = faults[index];
+    if (--fault.times <= 0) faults.splice(index, 1);
+    return fault.error;
+  }
+
+  function checkConditions(object, { IfMatch, IfNoneMatch }) {
+    if (IfNoneMatch === '*' && object) {
+      throw s3Error('PreconditionFailed', 412, 'At least one of the pre-conditions did not hold');
+    }
+    if (IfMatch && !object) throw s3Error('NoSuchKey', 404, 'The specified key does not exist.');
+    if (IfMatch && IfMatch !== object.etag) {
+      throw s3Error('PreconditionFailed', 412, 'At least one of the pre-conditions did not hold');
+    }
+  }
+
+  const handlers = {
+    async HeadObjectCommand({ Bucket, Key }) {
+      const object = bucketOf(Bucket).get(Key);
+      if (!object) throw s3Error('NotFound', 404, 'UnknownError');
+      return {
+        ContentLength: object.body.length,
+        ContentType: object.contentType,
+        ETag: object.etag,
+        LastModified: object.lastModified,
+        Metadata: object.metadata,
+      };
+    },
+
+    async GetObjectCommand({ Bucket, Key, Range }) {
+      const object = bucketOf(Bucket).get(Key);
+      if (!object) throw s3Error('NoSuchKey', 404, 'The specified key does not exist.');
+      const range = Range && Range.match(/^bytes=(\d+)-(\d*)$/);
+      if (range) {
+        const start = parseInt(range[1], 10);
+        const end = Math.min(range[2] ? parseInt(range[2], 10) : Infinity, object.body.length - 1);
+        const body = object.body.subarray(start, end + 1);
+        return {
+          Body: Readable.from([body]),
+          ContentLength: body.length,
+          ContentRange: `bytes ${start}-${end}/${object.body.length}`,
+          ContentType: object.contentType,
+          ETag: object.etag,
+        };
+      }
+      let Body = Readable.from([object.body]);
+      const stall = stalls.get(Key);
+      if (stall) {
+        stalls.delete(Key);
+        Body = new Readable({ read() {} });
+        Body.push(object.body.subarray(0, stall.bytes));
+        stall.resolve();
+      }
+      return {
+        Body,
+        ContentLength: object.body.length,
+        ContentType: object.contentType,
+        ETag: object.etag,
+        Metadata: object.metadata,
+      };
+    },
+
+    async ListObjectsV2Command({ Bucket, Prefix = '', MaxKeys = 1000, ContinuationToken }) {
+      const keys = [...bucketOf(Bucket).keys()].filter((key) => key.startsWith(Prefix)).sort();
+      const start = ContinuationToken ? parseInt(ContinuationToken, 10) : 0;
+      const page = keys.slice(start, start + MaxKeys);
+      const truncated = start + MaxKeys < keys.length;
+      return {
+        Contents: page.map((key) => {
+          const object = bucketOf(Bucket).get(key);
+          return {
+            Key: key,
+            Size: object.body.length,
+            ETag: object.etag,
+            LastModified: object.lastModified,
+          };
+        }),
+        KeyCount: page.length,
+        IsTruncated: truncated,
+        NextContinuationToken: truncated ? String(start + MaxKeys) : undefined,
+      };
+    },
+
+    async PutObjectCommand({ Bucket, Key, Body, ContentType, Metadata, IfMatch, IfNoneMatch }) {
+      checkConditions(bucketOf(Bucket).get(Key), { IfMatch, IfNoneMatch });
+      const object = putObject(Bucket, Key, await toBuffer(Body), {
+        contentType: ContentType,
+        metadata: Metadata,
+      });
+      return { ETag: object.etag };
+    },
+
+    async DeleteObjectCommand({ Bucket, Key, IfMatch }) {
+      checkConditions(bucketOf(Bucket).get(Key), { IfMatch });
+      bucketOf(Bucket).delete(Key);
+      return {};
+    },
+  };
+
+  const client = new S3Client({
+    region,
+    credentials: { accessKeyId: 'fake', secretAccessKey: 'fake' },
+  });
+  client.send = async (command, { abortSignal } = {}) => {
+    const name = command.constructor.name;
+    calls.push({ command: name, input: command.input });
+    if (!handlers[name]) throw new Error(`Fake S3 does not support ${name}`);
+    if (abortSignal?.aborted) throw abortError();
+    const error = takeFault(name, command.input.Key);
+    if (error) throw error;
+    const output = await handlers[name](command.input);
+    if (abortSignal?.aborted) throw abortError();
+    if (abortSignal && output.Body) {
+      abortSignal.addEventListener('abort', () => output.Body.destroy(abortError()), {
+        once: true,
+      });
+    }
+    return { $metadata: { httpStatusCode: 200 }, ...output };
+  };
+
+  return Object.assign(client, {
+    calls,
+    putObject,
+
+    getObject(bucket, key) {
+      return bucketOf(bucket).get(key) || null;
+    },
+
+    keys(bucket) {
+      return [...bucketOf(bucket).keys()].sort();
+    },
+
+    // The next `times` matching commands (any key if `key` is undefined) throw
+    failNext(command, key, error, times = 1) {
+      faults.push({ command, key, error, times });
+    },
+
+    // The next full GetObject of `key` sends its first `bytes` bytes and then
+    // hangs until aborted; resolves once those bytes are out
+    stallNext(key, bytes) {
+      return new Promise((resolve) => stalls.set(key, { bytes, resolve }));
+    },
+
+    clearFaults() {
+      faults.length = 0;
+    },
+
+    callsTo(command) {
+      return calls.filter((call) => call.command === command);
+    },
+  });
+}
@@ -0,0 +1,73 @@
+import { spawn, spawnSync } from 'child_process';
+import { readFile, unlink } from 'fs/promises';
+import * as path from 'path';
+
+// ffmpeg and ffprobe make the synthetic videos and run the real transcode;
+// tests that need them are skipped on machines without
+export const HAS_FFMPEG = ['ffmpeg', 'ffprobe'].every(
+  (command) => spawnSync(command, ['-version']).status === 0
+);
+
+// An exported VDR recording key (see lib/vdr-key.mjs)
+export function vdrKey({
+  org = 'Acme',
+  site = '1st-site__Oakland',
+  vdr = 1511,
+  camera = 1008,
+  vdrFile = 1,
+  label = 'Door-Entrance',
+  recordedAt = '20250407090000',
+  extension = 'avi',
+} = {}) {
+  return (
+    `${org}/${site}/vdr-${vdr}/camera-${camera}/vdr-file-${vdrFile}/` +
+    `${label}_${recordedAt}---2025-04-16T142825.147.${extension}`
+  );
+}
+
+export function convertedKey(key) {
+  return `${key.slice(0, key.lastIndexOf('.'))}_converted.mp4`;
+}
+
+// Writes a tiny test-pattern video (MPEG-4 Part 2, plus a PCM tone unless
+// `audio` is false) in the container the file extension asks for
+export function createSyntheticVideo(
+  filePath,
+  { duration = 2, size = '160x120', rate = 10, audio = true } = {}
+) {
+  const args = [
+    '-v',
+    'error',
+    '-f',
+    'lavfi',
+    '-i',
+    `testsrc=duration=${duration}:size=${size}:rate=${rate}`,
+    ...(audio ? ['-f', 'lavfi', '-i', `sine=frequency=440:duration=${duration}`] : []),
+    '-c:v',
+    'mpeg4',
+    ...(audio ? ['-c:a', 'pcm_s16le'] : []),
+    '-y',
+    filePath,
+  ];
+  return new Promise((resolve, reject) => {
+    const ffmpegProcess = spawn('ffmpeg', args);
+    let stderr = '';
+    ffmpegProcess.stderr.on('data', (data) => (stderr += data));
+    ffmpegProcess.on('error', reject);
+    ffmpegProcess.on('close', (code) => {
+      if (code === 0) resolve(filePath);
+      else reject(new Error(`ffmpeg exited with code ${code}: ${stderr.trim()}`));
+    });
+  });
+}
+
+// The bytes of a synthetic video, for seeding the fake S3
+export async function syntheticVideoBuffer({ extension = 'avi', ...options } = {}) {
+  const filePath = path.resolve(`synthetic-${process.pid}-${Date.now()}.${extension}`);
+  await createSyntheticVideo(filePath, options);
+  try {
+    return await readFile(filePath);
+  } finally {
+    await unlink(filePath);
+  }
+}
@@ -0,0 +1,190 @@
+import './helpers/env.mjs';
+import assert from 'assert/strict';
+import { rm } from 'fs/promises';
+import { afterEach, before, beforeEach, describe, test } from 'node:test';
+import { runTranscode } from '../commands/transcode.mjs';
+import {
+  healthReport,
+  incrementMetric,
+  renderMetrics,
+  startMetricsServer,
+  trackActivity,
+} from '../lib/metrics.mjs';
+import { createFakeDrive } from './helpers/fake-drive.mjs';
+import { createFakeS3 } from './helpers/fake-s3.mjs';
+import { convertedKey, HAS_FFMPEG, syntheticVideoBuffer, vdrKey } from './helpers/fixtures.mjs';
+
+const BUCKET = 'recordings';
+const needsFFmpeg = HAS_FFMPEG ? false : 'ffmpeg/ffprobe not installed';
+
+let s3;
+let drive;
+
+function transcodeConfig(overrides = {}) {
+  return {
+    command: 'transcode',
+    bucket: BUCKET,
+    region: 'us-east-1',
+    driveFolderId: drive.rootFolderId,
+    folderTemplate: '{camera}',
+    shard: { index: 0, total: 1 },
+    inputEnv: { INPUT_PREFIXES: 'Acme/' },
+    useCPU: true,
+    executeMethod: 'spawn',
+    destinations: [],
+    ...overrides,
+  };
+}
+
+// Value of one series in the exposition text, 0 if it is not there yet
+function metricValue(text, series) {
+  const line = text.split('\n').find((l) => l.startsWith(`bitrate_convert_${series} `));
+  return line ? parseFloat(line.split(' ').pop()) : 0;
+}
+
+// Metrics are process-wide, so tests compare before and after
+function delta(before, series) {
+  return metricValue(renderMetrics(), series) - metricValue(before, series);
+}
+
+beforeEach(async () => {
+  s3 = createFakeS3();
+  drive = createFakeDrive();
+  await rm('transcode-ledger.jsonl', { force: true });
+  await rm('scratch', { recursive: true, force: true });
+});
+
+afterEach(() => {
+  process.exitCode = 0;
+});
+
+describe('metrics', () => {
+  test('renders counters in the Prometheus text format', () => {
+    incrementMetric('api_errors_total', { service: 's3', operation: 'Get', error: 'say "hi"' }, 2);
+
+    const text = renderMetrics();
+    assert.match(text, /^# TYPE bitrate_convert_api_errors_total counter$/m);
+    assert.match(
+      text,
+      /^bitrate_convert_api_errors_total\{service="s3",operation="Get",error="say \\"hi\\""\} 2$/m
+    );
+  });
+
+  test('reports ffmpeg and downloads that stop making progress', () => {
+    const ffmpeg = trackActivity('ffmpeg', 'a.avi');
+    const download = trackActivity('download', 'b.avi');
+    ffmpeg.touch(12);
+
+    assert.equal(healthReport().healthy, true);
+    const later = healthReport(Date.now() + 60 * 60 * 1000);
+    assert.equal(later.healthy, false);
+    assert.equal(later.problems.length, 2);
+    assert.match(later.problems[0], /^ffmpeg of a\.avi has made no progress/);
+    assert.match(later.problems[1], /^download of b\.avi/);
+
+    const before = renderMetrics();
+    ffmpeg.end();
+    download.end();
+    assert.equal(delta(before, 'transcoded_media_seconds_total'), 12);
+    assert.equal(healthReport(Date.now() + 60 * 60 * 1000).healthy, true);
+  });
+
+  test('serves /metrics and /healthz', async () => {
+    const server = await startMetricsServer(0, { host: '127.0.0.1', labels: { command: 'test' } });
+    const url = `http://127.0.0.1:${server.port}`;
+    try {
+      const metrics = await fetch(`${url}/metrics`);
+      assert.equal(metrics.status, 200);
+      assert.match(await metrics.text(), /^bitrate_convert_info\{command="test"\} 1$/m);
+
+      const health = await fetch(`${url}/healthz`);
+      assert.equal(health.status, 200);
+      assert.equal((await health.json()).healthy, true);
+
+      assert.equal((await fetch(`${url}/other`)).status, 404);
+    } finally {
+      await server.close();
+    }
+  });
+});
+
+describe('transcode metrics', () => {
+  test('counts skipped keys and S3 requests', async () => {
+    const key = vdrKey({ camera: 1101 });
+    s3.putObject(BUCKET, key, 'source');
+    s3.putObject(BUCKET, convertedKey(key), 'output');
+    const before = renderMetrics();
+
+    await runTranscode(transcodeConfig({ metricsPort: 0 }), { s3, drive });
+
+    assert.equal(delta(before, 'files_total{stage="download",outcome="skipped"}'), 1);
+    assert.equal(
+      delta(before, 'api_requests_total{service="s3",operation="ListObjectsV2"}'),
+      s3.callsTo('ListObjectsV2Command').length
+    );
+    assert.ok(delta(before, 'api_requests_total{service="s3",operation="HeadObject"}') >= 1);
+  });
+
+  test('counts Drive calls and resumable upload requests once each', async () => {
+    const key = vdrKey({ camera: 1104 });
+    s3.putObject(BUCKET, key, 'source');
+    s3.putObject(BUCKET, convertedKey(key), 'output');
+    const before = renderMetrics();
+
+    await runTranscode(transcodeConfig({ destinations: ['drive'] }), { s3, drive });
+
+    assert.equal(delta(before, 'api_requests_total{service="drive",operation="upload.start"}'), 1);
+    assert.equal(delta(before, 'api_requests_total{service="drive",operation="upload.chunk"}'), 1);
+    assert.equal(
+      delta(before, 'api_requests_total{service="drive",operation="files.list"}'),
+      drive.callsTo('files.list').length
+    );
+    assert.doesNotMatch(renderMetrics(), /operation="upload"/);
+  });
+
+  test('reports a stalled download as unhealthy and counts its bytes', async () => {
+    const key = vdrKey({ camera: 1102 });
+    s3.putObject(BUCKET, key, Buffer.alloc(4096, 1));
+    const stalled = s3.stallNext(key, 1024);
+    const before = renderMetrics();
+
+    const run = runTranscode(transcodeConfig(), { s3, drive });
+    await stalled;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    const report = healthReport(Date.now() + 60 * 60 * 1000);
+    assert.equal(report.healthy, false);
+    assert.match(report.problems[0], /^download of .*camera-1102/);
+    assert.equal(delta(before, 'downloaded_bytes_total'), 1024);
+    assert.equal(metricValue(renderMetrics(), 'downloads_running'), 1);
+    assert.equal(metricValue(renderMetrics(), 'pipeline_active{stage="download"}'), 1);
+
+    process.emit('SIGTERM', 'SIGTERM');
+    await run;
+    assert.equal(delta(before, 'files_total{stage="download",outcome="interrupted"}'), 1);
+    assert.equal(healthReport(Date.now() + 60 * 60 * 1000).healthy, true);
+  });
+});
+
+describe('transcode progress metrics', { skip: needsFFmpeg }, () => {
+  let video;
+  before(async () => {
+    video = await syntheticVideoBuffer();
+  });
+
+  test('counts transcoded seconds and transferred bytes', async () => {
+    const key = vdrKey({ camera: 1103 });
+    s3.putObject(BUCKET, key, video);
+    const before = renderMetrics();
+
+    await runTranscode(transcodeConfig(), { s3, drive });
+
+    assert.equal(delta(before, 'files_total{stage="upload",outcome="done"}'), 1);
+    assert.equal(delta(before, 'downloaded_bytes_total'), video.length);
+    assert.ok(delta(before, 'transcoded_media_seconds_total') > 0);
+    assert.ok(delta(before, 'transcode_seconds_total') > 0);
+    assert.equal(
+      delta(before, 'uploaded_bytes_total{target="s3"}'),
+      s3.getObject(BUCKET, convertedKey(key)).body.length
+    );
+  });
+});
@@ -0,0 +1,26 @@
+import './helpers/env.mjs';
+import assert from 'assert/strict';
+import { describe, test } from 'node:test';
+import { runPipeline } from '../lib/pipeline.mjs';
+
+describe('runPipeline', () => {
+  test('rejects once, without an unhandled rejection, when onFinish throws', async () => {
+    const unhandled = [];
+    const onUnhandled = (reason) => unhandled.push(reason);
+    process.on('unhandledRejection', onUnhandled);
+    try {
+      await assert.rejects(
+        runPipeline([1, 2], [{ name: 'work', concurrency: 1, run: async () => true }], {
+          onFinish: async () => {
+            throw new Error('ledger write failed');
+          },
+        }),
+        { message: 'ledger write failed' }
+      );
+      await new Promise((resolve) => setImmediate(resolve));
+      assert.deepEqual(unhandled, []);
+    } finally {
+      process.off('unhandledRejection', onUnhandled);
+    }
+  });
+});
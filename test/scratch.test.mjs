@@ -0,0 +1,131 @@
+import './helpers/env.mjs';
+import assert from 'assert/strict';
+import { execFile } from 'child_process';
+import { existsSync } from 'fs';
+import { mkdir, readFile, rm, writeFile } from 'fs/promises';
+import os from 'os';
+import * as path from 'path';
+import { beforeEach, describe, test } from 'node:test';
+import { promisify } from 'util';
+import { openScratch } from '../lib/scratch.mjs';
+
+const execFileAsync = promisify(execFile);
+const scratchModule = new URL('../lib/scratch.mjs', import.meta.url).href;
+
+const config = { command: 'copy', shard: { index: 2, total: 3 } };
+const directory = path.resolve('scratch', 'copy-2');
+
+async function leaveFile(relativePath, content = 'partial') {
+  const filePath = path.join(directory, relativePath);
+  await mkdir(path.dirname(filePath), { recursive: true });
+  await writeFile(filePath, content);
+  return filePath;
+}
+
+beforeEach(async () => {
+  await rm('scratch', { recursive: true, force: true });
+});
+
+describe('openScratch', () => {
+  test('gives each instance its own directory and maps keys into it', async () => {
+    const scratch = await openScratch(config);
+
+    assert.equal(scratch.directory, directory);
+    assert.equal(
+      scratch.pathFor('Acme/camera-1/a.avi'),
+      path.join(directory, 'Acme/camera-1/a.avi')
+    );
+    const lock = JSON.parse(await readFile(path.join(directory, '.lock'), 'utf-8'));
+    assert.equal(lock.pid, process.pid);
+
+    scratch.close();
+    assert.equal(existsSync(path.join(directory, '.lock')), false);
+  });
+
+  test('refuses keys that would map outside its directory', async () => {
+    const scratch = await openScratch(config);
+    try {
+      for (const key of ['Acme/../../outside.avi', '/etc/passwd', '..', 'Acme/../..']) {
+        assert.throws(() => scratch.pathFor(key), { name: 'UnsafeKeyError' }, key);
+      }
+      assert.equal(scratch.pathFor('Acme/../a.avi'), path.join(directory, 'a.avi'));
+    } finally {
+      scratch.close();
+    }
+  });
+
+  test('removes files left by an earlier run except the ones to keep', async () => {
+    const orphan = await leaveFile('Acme/camera-1/a.avi');
+    const resumable = await leaveFile('Acme/camera-2/b_converted.mp4');
+
+    const scratch = await openScratch(config, { keep: (filePath) => filePath === resumable });
+    scratch.close();
+
+    assert.equal(existsSync(orphan), false);
+    assert.equal(existsSync(path.dirname(orphan)), false, 'empty directory removed');
+    assert.ok(existsSync(resumable));
+  });
+
+  test('refuses a directory locked by a running process', async () => {
+    await leaveFile('Acme/a.avi');
+    await leaveFile('.lock', JSON.stringify({ pid: process.ppid, host: os.hostname() }));
+
+    await assert.rejects(openScratch(config), { name: 'ScratchInUseError' });
+    assert.ok(existsSync(path.join(directory, 'Acme/a.avi')), 'files left alone');
+  });
+
+  test('takes over the lock of a process that is gone', async () => {
+    // Pids never go this high on Linux
+    await leaveFile('.lock', JSON.stringify({ pid: 2 ** 30, host: os.hostname() }));
+
+    const scratch = await openScratch(config);
+    const lock = JSON.parse(await readFile(path.join(directory, '.lock'), 'utf-8'));
+    scratch.close();
+
+    assert.equal(lock.pid, process.pid);
+  });
+});
+
+describe('scratch reservations', () => {
+  test('fails a reservation larger than the free space', async () => {
+    const scratch = await openScratch(config);
+    try {
+      await assert.rejects(scratch.reserve(Number.MAX_SAFE_INTEGER, 'huge.avi'), {
+        name: 'DiskSpaceError',
+        retryable: false,
+        message: /huge\.avi needs/,
+      });
+      // The failed reservation did not hold on to anything
+      const reservation = await scratch.reserve(1024, 'small.avi');
+      assert.equal(reservation.bytes, 1024);
+      scratch.release(reservation);
+    } finally {
+      scratch.close();
+    }
+  });
+
+  test('stops waiting for space when its signal aborts', async () => {
+    // DISK_SPACE_ACTION is read at import time, so this runs in a child process
+    const script = `
+      import { openScratch } from ${JSON.stringify(scratchModule)};
+      const scratch = await openScratch({ command: 'copy', shard: { index: 5, total: 6 } });
+      const controller = new AbortController();
+      setTimeout(() => controller.abort(new Error('stopped')), 100);
+      try {
+        await scratch.reserve(Number.MAX_SAFE_INTEGER, 'huge.avi', { signal: controller.signal });
+      } catch (error) {
+        process.stderr.write(error.message);
+      }
+      scratch.close();
+    `;
+    const { stderr } = await execFileAsync(
+      process.execPath,
+      ['--input-type=module', '-e', script],
+      {
+        env: { ...process.env, DISK_SPACE_ACTION: 'wait', DISK_SPACE_POLL_SECONDS: '60' },
+        timeout: 10000,
+      }
+    );
+    assert.equal(stderr, 'stopped');
+  });
+});
@@ -0,0 +1,44 @@
+import './helpers/env.mjs';
+import assert from 'assert/strict';
+import { describe, test } from 'node:test';
+import { needsSeeking } from '../lib/stream-transcode.mjs';
+
+function box(type, size = 16) {
+  const buffer = Buffer.alloc(size);
+  buffer.writeUInt32BE(size, 0);
+  buffer.write(type, 4, 'latin1');
+  return buffer;
+}
+
+describe('needsSeeking', () => {
+  test('streams an MP4 whose moov comes first', () => {
+    assert.equal(needsSeeking(Buffer.concat([box('ftyp'), box('moov'), box('mdat')])), false);
+  });
+
+  test('streams a fragmented MP4', () => {
+    assert.equal(needsSeeking(Buffer.concat([box('ftyp'), box('moof'), box('mdat')])), false);
+  });
+
+  test('seeks for an MP4 whose moov follows mdat', () => {
+    assert.equal(needsSeeking(Buffer.concat([box('ftyp'), box('free'), box('mdat')])), true);
+  });
+
+  test('seeks when moov is not within the bytes read', () => {
+    assert.equal(
+      needsSeeking(Buffer.concat([box('ftyp'), box('free', 4096)]).subarray(0, 64)),
+      true
+    );
+  });
+
+  test('reads 64-bit box sizes', () => {
+    const large = Buffer.alloc(16);
+    large.writeUInt32BE(1, 0);
+    large.write('free', 4, 'latin1');
+    large.writeBigUInt64BE(16n, 8);
+    assert.equal(needsSeeking(Buffer.concat([box('ftyp'), large, box('moov')])), false);
+  });
+
+  test('streams other containers', () => {
+    assert.equal(needsSeeking(Buffer.from('RIFF\0\0\0\0AVI LIST')), false);
+  });
+});
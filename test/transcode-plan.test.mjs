@@ -0,0 +1,39 @@
+import assert from 'assert/strict';
+import { describe, test } from 'node:test';
+import { planTranscode } from '../lib/transcode-plan.mjs';
+
+function probe(codec, container = 'avi') {
+  return {
+    container,
+    duration: 10,
+    video: { index: 0, codec, width: 1920, height: 1080, fps: 25 },
+    audio: [],
+  };
+}
+
+describe('planTranscode', () => {
+  test('writes encoded MP4s with the index at the front', () => {
+    const plan = planTranscode(probe('hevc'), 'in.avi', 'out.mp4', { useCPU: true });
+
+    assert.equal(plan.mode, 'encode');
+    assert.deepEqual(plan.args.slice(-4), ['-movflags', '+faststart', '-y', 'out.mp4']);
+  });
+
+  test('leaves the decoder to ffmpeg and decodes on the GPU where NVDEC can', () => {
+    const gpu = planTranscode(probe('hevc'), 'in.avi', 'out.mp4', { useCPU: false });
+    assert.deepEqual(gpu.args.slice(0, 4), ['-hwaccel', 'cuda', '-i', 'in.avi']);
+
+    const cpu = planTranscode(probe('msmpeg4v3'), 'in.avi', 'out.mp4', { useCPU: false });
+    assert.deepEqual(cpu.args.slice(0, 2), ['-i', 'in.avi']);
+  });
+
+  test('streams fragmented MP4 to a pipe', () => {
+    const plan = planTranscode(probe('hevc'), 'pipe:0', 'pipe:1', {
+      useCPU: true,
+      fragmented: true,
+    });
+
+    assert.ok(plan.args.includes('frag_keyframe+empty_moov+default_base_moof'));
+    assert.equal(plan.args.includes('+faststart'), false);
+  });
+});
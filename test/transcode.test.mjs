@@ -0,0 +1,420 @@
+import './helpers/env.mjs';
+import assert from 'assert/strict';
+import { existsSync } from 'fs';
+import { mkdir, rm, writeFile } from 'fs/promises';
+import * as path from 'path';
+import { afterEach, before, beforeEach, describe, test } from 'node:test';
+import { runTranscode } from '../commands/transcode.mjs';
+import { openLedger } from '../lib/job-ledger.mjs';
+import { hashFile } from '../lib/checksums.mjs';
+import { createFakeDrive, driveError } from './helpers/fake-drive.mjs';
+import { createFakeS3, s3Error } from './helpers/fake-s3.mjs';
+import { convertedKey, HAS_FFMPEG, syntheticVideoBuffer, vdrKey } from './helpers/fixtures.mjs';
+
+const BUCKET = 'recordings';
+const LEDGER_FILE = 'transcode-ledger.jsonl';
+const needsFFmpeg = HAS_FFMPEG ? false : 'ffmpeg/ffprobe not installed';
+
+let s3;
+let drive;
+
+function transcodeConfig(overrides = {}) {
+  return {
+    command: 'transcode',
+    bucket: BUCKET,
+    region: 'us-east-1',
+    driveFolderId: drive.rootFolderId,
+    folderTemplate: '{camera}',
+    shard: { index: 0, total: 1 },
+    inputEnv: { INPUT_PREFIXES: 'Acme/' },
+    useCPU: true,
+    executeMethod: 'spawn',
+    destinations: ['drive'],
+    ...overrides,
+  };
+}
+
+// Where the run keeps its local copy of a key
+function scratchPath(key) {
+  return path.resolve('scratch', 'transcode-0', key);
+}
+
+async function ledgerRecord(key) {
+  return (await openLedger(LEDGER_FILE)).get(key);
+}
+
+beforeEach(async () => {
+  s3 = createFakeS3();
+  drive = createFakeDrive();
+  await rm(LEDGER_FILE, { force: true });
+  await rm('scratch', { recursive: true, force: true });
+});
+
+afterEach(() => {
+  process.exitCode = 0;
+});
+
+describe('transcode skip checks', () => {
+  test('skips a key whose output is already in S3 and every destination', async () => {
+    const key = vdrKey({ camera: 1001 });
+    s3.putObject(BUCKET, key, 'source');
+    s3.putObject(BUCKET, convertedKey(key), 'output');
+    drive.addFile(path.basename(convertedKey(key)), drive.addFolder('camera-1001').id, 'output');
+
+    await runTranscode(transcodeConfig(), { s3, drive });
+
+    const record = await ledgerRecord(key);
+    assert.equal(record.stage, 'done');
+    assert.equal(record.skipped, 'exists in S3');
+    assert.equal(s3.callsTo('GetObjectCommand').length, 0);
+    assert.equal(drive.callsTo('upload.start').length, 0);
+  });
+
+  test('delivers an output already in S3 to a destination that missed it', async () => {
+    const key = vdrKey({ camera: 1009 });
+    s3.putObject(BUCKET, key, 'source');
+    s3.putObject(BUCKET, convertedKey(key), 'output');
+    drive.failNext('upload.start', undefined, driveError(403, 'insufficientFilePermissions'));
+
+    await runTranscode(transcodeConfig(), { s3, drive });
+    assert.equal((await ledgerRecord(key)).stage, 'failed');
+
+    await runTranscode(transcodeConfig(), { s3, drive });
+
+    const record = await ledgerRecord(key);
+    assert.equal(record.stage, 'done');
+    assert.equal(record.skipped, undefined);
+    const [driveFile] = drive.filesIn(drive.folderAt('camera-1009').id);
+    assert.equal(driveFile.content.toString(), 'output');
+    assert.ok(
+      s3.callsTo('GetObjectCommand').every((call) => call.input.Key === convertedKey(key)),
+      'not transcoded again'
+    );
+    assert.equal(existsSync(scratchPath(convertedKey(key))), false);
+  });
+
+  test('fails a key instead of transcoding it again when Drive cannot be listed', async () => {
+    const key = vdrKey({ camera: 1011 });
+    s3.putObject(BUCKET, key, 'source');
+    const folder = drive.addFolder('camera-1011');
+    drive.addFile(path.basename(convertedKey(key)), folder.id, 'output');
+    drive.failNext('files.list', undefined, driveError(503, 'backendError'), 1000);
+
+    await runTranscode(transcodeConfig(), { s3, drive });
+
+    const record = await ledgerRecord(key);
+    assert.equal(record.stage, 'failed');
+    assert.equal(record.retryable, true);
+    assert.equal(s3.callsTo('GetObjectCommand').length, 0);
+    assert.equal(drive.callsTo('upload.start').length, 0);
+
+    drive.clearFaults();
+    await runTranscode(transcodeConfig(), { s3, drive });
+    assert.equal((await ledgerRecord(key)).skipped, 'exists in every destination');
+  });
+
+  test('skips a key whose output is in every destination and removes the local input', async () => {
+    const key = vdrKey({ camera: 1002 });
+    s3.putObject(BUCKET, key, 'source');
+    const folder = drive.addFolder('camera-1002');
+    drive.addFile(path.basename(convertedKey(key)), folder.id, 'output');
+    await mkdir(path.dirname(scratchPath(key)), { recursive: true });
+    await writeFile(scratchPath(key), 'source');
+
+    await runTranscode(transcodeConfig(), { s3, drive });
+
+    const record = await ledgerRecord(key);
+    assert.equal(record.skipped, 'exists in every destination');
+    assert.equal(s3.callsTo('GetObjectCommand').length, 0);
+    assert.equal(existsSync(scratchPath(key)), false);
+  });
+
+  test('skips finished keys on the next run', async () => {
+    const key = vdrKey({ camera: 1003 });
+    s3.putObject(BUCKET, key, 'source');
+    s3.putObject(BUCKET, convertedKey(key), 'output');
+    await runTranscode(transcodeConfig(), { s3, drive });
+    const headCalls = s3.callsTo('HeadObjectCommand').length;
+
+    await runTranscode(transcodeConfig(), { s3, drive });
+
+    assert.equal(s3.callsTo('HeadObjectCommand').length, headCalls);
+  });
+});
+
+describe('transcode downloads', () => {
+  test('fails the run when the key list cannot be loaded', async () => {
+    await rm('missing-keys.txt', { force: true });
+
+    await assert.rejects(
+      runTranscode(transcodeConfig({ inputEnv: { INPUT_FILE: 'missing-keys.txt' } }), { s3, drive })
+    );
+    assert.equal(process.listenerCount('SIGTERM'), 0, 'handlers removed');
+  });
+
+  test('fails a listed key that is not in S3', async () => {
+    const key = vdrKey({ camera: 1004 });
+    await writeFile('keys.txt', key);
+
+    await runTranscode(transcodeConfig({ inputEnv: { INPUT_FILE: 'keys.txt' } }), { s3, drive });
+
+    const record = await ledgerRecord(key);
+    assert.equal(record.stage, 'failed');
+    assert.equal(record.errorClass, 'NotFound');
+  });
+
+  test('does not retry a permanent download error', async () => {
+    const key = vdrKey({ camera: 1005 });
+    s3.putObject(BUCKET, key, 'source');
+    s3.failNext('GetObjectCommand', key, s3Error('AccessDenied', 403), 10);
+
+    await runTranscode(transcodeConfig(), { s3, drive });
+
+    const record = await ledgerRecord(key);
+    assert.equal(record.stage, 'failed');
+    assert.equal(record.failedStage, 'downloading');
+    assert.equal(record.errorClass, 'AccessDenied');
+    assert.equal(record.retryable, false);
+    assert.equal(s3.callsTo('GetObjectCommand').length, 1);
+    assert.equal(existsSync(scratchPath(key)), false);
+  });
+
+  test('fails a download that does not match S3 without leaving the file behind', async () => {
+    const key = vdrKey({ camera: 1010 });
+    const object = s3.putObject(BUCKET, key, 'source');
+    object.etag = `"${'0'.repeat(32)}"`;
+
+    await runTranscode(transcodeConfig(), { s3, drive });
+
+    const record = await ledgerRecord(key);
+    assert.equal(record.stage, 'failed');
+    assert.equal(record.failedStage, 'downloading');
+    assert.equal(record.errorClass, 'ChecksumMismatchError');
+    assert.equal(existsSync(scratchPath(key)), false);
+    assert.equal(existsSync(`${scratchPath(key)}.part`), false);
+  });
+
+  test('retries a throttled download, then removes the input when it cannot be transcoded', async () => {
+    const key = vdrKey({ camera: 1006 });
+    const { etag } = s3.putObject(BUCKET, key, 'not a video');
+    s3.failNext('GetObjectCommand', key, s3Error('SlowDown', 503));
+
+    await runTranscode(transcodeConfig(), { s3, drive });
+
+    const record = await ledgerRecord(key);
+    assert.equal(s3.callsTo('GetObjectCommand').length, 2);
+    assert.equal(record.outputs.sourceChecksums.md5, etag.replace(/"/g, ''));
+    assert.equal(record.stage, 'failed');
+    assert.equal(record.failedStage, 'transcoding');
+    assert.equal(existsSync(scratchPath(key)), false);
+    assert.equal(s3.getObject(BUCKET, convertedKey(key)), null);
+  });
+});
+
+describe('transcode shutdown', () => {
+  test('stops on SIGTERM without a partial download or starting the next key', async () => {
+    const first = vdrKey({ camera: 1007 });
+    const second = vdrKey({ camera: 1008 });
+    s3.putObject(BUCKET, first, Buffer.alloc(4096, 1));
+    s3.putObject(BUCKET, second, 'source');
+    const stalled = s3.stallNext(first, 1024);
+
+    const run = runTranscode(transcodeConfig(), { s3, drive });
+    await stalled;
+    // Let the first bytes reach the disk
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    assert.ok(existsSync(`${scratchPath(first)}.part`), 'downloading to a .part file');
+    assert.equal(existsSync(scratchPath(first)), false);
+    process.emit('SIGTERM', 'SIGTERM');
+    await run;
+
+    const record = await ledgerRecord(first);
+    assert.equal(record.stage, 'interrupted');
+    assert.equal(record.interruptedStage, 'downloading');
+    assert.equal(existsSync(scratchPath(first)), false);
+    assert.equal(existsSync(`${scratchPath(first)}.part`), false);
+    assert.equal((await ledgerRecord(second)).stage, 'queued');
+    assert.equal(process.exitCode, 143);
+    assert.equal(process.listenerCount('SIGTERM'), 0, 'handlers removed');
+  });
+});
+
+describe('transcode and upload', { skip: needsFFmpeg }, () => {
+  let video;
+  before(async () => {
+    video = await syntheticVideoBuffer();
+  });
+
+  test('uploads the output to S3 and every destination, then cleans up', async () => {
+    const key = vdrKey({ camera: 1010 });
+    const output = convertedKey(key);
+    s3.putObject(BUCKET, key, video);
+
+    await runTranscode(
+      transcodeConfig({ destinations: ['drive', 'local'], destDir: 'delivered' }),
+      {
+        s3,
+        drive,
+      }
+    );
+
+    const record = await ledgerRecord(key);
+    assert.equal(record.stage, 'done');
+    assert.equal(record.transcodeMode, 'encode');
+
+    const s3Output = s3.getObject(BUCKET, output);
+    assert.ok(s3Output, 'output uploaded to S3');
+    assert.equal(s3Output.contentType, 'video/mp4');
+    assert.equal(s3Output.metadata['source-key'], encodeURIComponent(key));
+    const md5 = s3Output.etag.replace(/"/g, '');
+    assert.equal(record.outputs.outputChecksums.md5, md5);
+
+    const [driveFile] = drive.filesIn(drive.folderAt('camera-1010').id);
+    assert.equal(driveFile.name, path.basename(output));
+    assert.equal(driveFile.md5Checksum, md5);
+    assert.equal(record.outputs.deliveries.drive.id, driveFile.id);
+    assert.ok(existsSync(path.join('delivered', 'camera-1010', path.basename(output))));
+
+    assert.equal(existsSync(scratchPath(key)), false, 'input deleted');
+    assert.equal(existsSync(scratchPath(output)), false, 'output deleted');
+  });
+
+  test('keeps the output after a failed Drive upload and resumes it on the next run', async () => {
+    const key = vdrKey({ camera: 1011 });
+    const output = convertedKey(key);
+    s3.putObject(BUCKET, key, video);
+    drive.failNext('upload.chunk', undefined, driveError(503, 'backendError'), 100);
+
+    await runTranscode(transcodeConfig(), { s3, drive });
+
+    let record = await ledgerRecord(key);
+    assert.equal(record.stage, 'failed');
+    assert.ok(record.driveUpload.sessionUri, 'session kept for resuming');
+    assert.ok(s3.getObject(BUCKET, output), 'S3 upload finished');
+    assert.ok(existsSync(scratchPath(output)), 'output kept');
+
+    drive.clearFaults();
+    const downloads = s3.callsTo('GetObjectCommand').length;
+    await runTranscode(transcodeConfig(), { s3, drive });
+
+    record = await ledgerRecord(key);
+    assert.equal(record.stage, 'done');
+    assert.equal(s3.callsTo('GetObjectCommand').length, downloads, 'not transcoded again');
+    assert.equal(drive.callsTo('upload.start').length, 1, 'same upload session');
+    assert.equal(drive.filesIn(drive.folderAt('camera-1011').id).length, 1);
+    assert.equal(existsSync(scratchPath(output)), false);
+  });
+
+  test('uploads again when Drive stores different bytes', async () => {
+    const key = vdrKey({ camera: 1012 });
+    s3.putObject(BUCKET, key, video);
+    drive.corruptNextUploads(1);
+
+    await runTranscode(transcodeConfig(), { s3, drive });
+
+    const record = await ledgerRecord(key);
+    assert.equal(record.stage, 'done');
+    assert.equal(drive.callsTo('upload.start').length, 2);
+    const driveFiles = drive.filesIn(drive.folderAt('camera-1012').id);
+    assert.equal(driveFiles.length, 1, 'corrupt copy deleted');
+    assert.equal(driveFiles[0].md5Checksum, record.outputs.outputChecksums.md5);
+  });
+
+  test('uploads to S3 only when no destination is configured', async () => {
+    const key = vdrKey({ camera: 1013 });
+    s3.putObject(BUCKET, key, video);
+
+    await runTranscode(transcodeConfig({ destinations: [] }), { s3, drive });
+
+    assert.equal((await ledgerRecord(key)).stage, 'done');
+    assert.ok(s3.getObject(BUCKET, convertedKey(key)));
+    assert.equal(drive.calls.length, 0);
+  });
+});
+
+describe('streaming transcode', { skip: needsFFmpeg }, () => {
+  let video;
+  before(async () => {
+    video = await syntheticVideoBuffer();
+  });
+
+  test('streams an input from S3 through ffmpeg back to S3 without local files', async () => {
+    const key = vdrKey({ camera: 1020 });
+    s3.putObject(BUCKET, key, video);
+
+    await runTranscode(transcodeConfig({ streaming: true, destinations: [] }), { s3, drive });
+
+    const record = await ledgerRecord(key);
+    assert.equal(record.stage, 'done');
+    assert.equal(record.streamed, true);
+    const s3Output = s3.getObject(BUCKET, convertedKey(key));
+    assert.equal(s3Output.etag.replace(/"/g, ''), record.outputs.outputChecksums.md5);
+    assert.equal(s3Output.metadata['source-key'], encodeURIComponent(key));
+    assert.ok(
+      s3.callsTo('GetObjectCommand').some((call) => call.input.Range),
+      'probed a range'
+    );
+    assert.equal(existsSync(scratchPath('Acme')), false, 'nothing written locally');
+  });
+
+  test('delivers a streamed output to the destinations from the S3 object', async () => {
+    const key = vdrKey({ camera: 1021 });
+    const output = convertedKey(key);
+    s3.putObject(BUCKET, key, video);
+
+    await runTranscode(
+      transcodeConfig({ streaming: true, destinations: ['local'], destDir: 'delivered' }),
+      { s3, drive }
+    );
+
+    const record = await ledgerRecord(key);
+    assert.equal(record.stage, 'done');
+    assert.equal(record.streamed, true);
+    const delivered = path.join('delivered', 'camera-1021', path.basename(output));
+    assert.equal((await hashFile(delivered)).md5, record.outputs.outputChecksums.md5);
+    assert.equal(existsSync(scratchPath('Acme')), false, 'nothing written locally');
+  });
+
+  test('streams an output to Drive without writing it to scratch', async () => {
+    const key = vdrKey({ camera: 1024 });
+    s3.putObject(BUCKET, key, video);
+
+    await runTranscode(transcodeConfig({ streaming: true }), { s3, drive });
+
+    const record = await ledgerRecord(key);
+    assert.equal(record.stage, 'done');
+    assert.equal(record.streamed, true);
+    const [file] = drive.filesIn(drive.folderAt('camera-1024').id);
+    assert.equal(file.name, path.basename(convertedKey(key)));
+    assert.equal(file.md5Checksum, record.outputs.outputChecksums.md5);
+    assert.equal(existsSync(scratchPath('Acme')), false, 'nothing written locally');
+  });
+
+  test('deletes a streamed output that is shorter than its input', async () => {
+    const key = vdrKey({ camera: 1023 });
+    const long = await syntheticVideoBuffer({ duration: 10 });
+    // The AVI header still says 10s
+    s3.putObject(BUCKET, key, long.subarray(0, Math.round(long.length * 0.4)));
+
+    await runTranscode(transcodeConfig({ streaming: true, destinations: [] }), { s3, drive });
+
+    const record = await ledgerRecord(key);
+    assert.equal(record.stage, 'quarantined');
+    assert.match(record.quarantine.problems[0], /differs from input 10\.00s/);
+    assert.equal(s3.getObject(BUCKET, convertedKey(key)), null);
+    assert.equal(existsSync(scratchPath('Acme')), false);
+  });
+
+  test('falls back to the disk path for an MP4 whose index follows the media data', async () => {
+    const key = vdrKey({ camera: 1022, extension: 'mov' });
+    s3.putObject(BUCKET, key, await syntheticVideoBuffer({ extension: 'mov' }));
+
+    await runTranscode(transcodeConfig({ streaming: true, destinations: [] }), { s3, drive });
+
+    const record = await ledgerRecord(key);
+    assert.equal(record.stage, 'done');
+    assert.equal(record.streamed, undefined);
+    assert.ok(record.outputs.sourceChecksums, 'downloaded');
+    assert.ok(s3.getObject(BUCKET, convertedKey(key)));
+  });
+});
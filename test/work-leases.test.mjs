@@ -0,0 +1,183 @@
+import './helpers/env.mjs';
+import assert from 'assert/strict';
+import { existsSync } from 'fs';
+import { rm } from 'fs/promises';
+import * as path from 'path';
+import { beforeEach, describe, test } from 'node:test';
+import { runTranscode } from '../commands/transcode.mjs';
+import { openLedger } from '../lib/job-ledger.mjs';
+import { openLeases, runLeasedPipeline } from '../lib/work-leases.mjs';
+import { createFakeDrive } from './helpers/fake-drive.mjs';
+import { createFakeS3, s3Error } from './helpers/fake-s3.mjs';
+import { convertedKey, vdrKey } from './helpers/fixtures.mjs';
+
+const BUCKET = 'recordings';
+const KEY = 'Acme/camera-1/a.avi';
+
+let s3;
+
+beforeEach(async () => {
+  s3 = createFakeS3();
+  await rm('leases', { recursive: true, force: true });
+  await rm('scratch', { recursive: true, force: true });
+  await rm('transcode-ledger.jsonl', { force: true });
+});
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+for (const [name, location] of [
+  ['a directory', 'leases'],
+  ['S3', `s3://${BUCKET}/leases`],
+]) {
+  describe(`leases in ${name}`, () => {
+    const open = (owner, ttl = 60_000) => openLeases(location, { s3, owner, ttl });
+
+    test('refuses a key another instance holds until it is released', async () => {
+      const first = open('first');
+      const second = open('second');
+
+      const { lease } = await first.claim(KEY);
+      assert.ok(lease);
+      const refused = await second.claim(KEY);
+      assert.equal(refused.lease, undefined);
+      assert.equal(refused.holder.owner, 'first');
+
+      await first.release(lease);
+      const { lease: taken } = await second.claim(KEY);
+      assert.ok(taken);
+      await second.release(taken);
+    });
+
+    test('takes over an expired lease without its old holder undoing it', async () => {
+      const first = open('first', 300);
+      const { lease } = await first.claim(KEY);
+      // Keep the first holder from renewing, as if it had hung
+      clearInterval(lease.timer);
+      await sleep(350);
+
+      const second = open('second');
+      const { lease: taken } = await second.claim(KEY);
+      assert.ok(taken);
+
+      // The old holder's release leaves the new lease alone
+      await first.release(lease);
+      assert.equal((await second.store.read(KEY)).record.owner, 'second');
+      await second.release(taken);
+    });
+
+    test('aborts the lease signal when a renewal finds the lease taken', async () => {
+      const first = open('first', 150);
+      const { lease } = await first.claim(KEY);
+      const current = await first.store.read(KEY);
+      await first.store.replace(KEY, { owner: 'second', state: 'active' }, current.token);
+
+      await sleep(120);
+      await lease.renewing;
+      assert.equal(lease.signal.aborted, true);
+      assert.equal(lease.signal.reason.name, 'LeaseLostError');
+      await first.release(lease);
+      assert.equal((await first.store.read(KEY)).record.owner, 'second');
+    });
+
+    test('never hands out a finished key again', async () => {
+      const first = open('first');
+      const { lease } = await first.claim(KEY);
+      await first.release(lease, { finished: true, outcome: 'done' });
+
+      const { lease: again, holder } = await open('second').claim(KEY);
+      assert.equal(again, undefined);
+      assert.equal(holder.state, 'finished');
+      assert.equal(holder.outcome, 'done');
+    });
+  });
+}
+
+describe('S3 leases', () => {
+  test('keeps a lease whose create response was lost', async () => {
+    // The first PUT is stored, but its caller sees a server error
+    let loseResponse = true;
+    const client = {
+      async send(command, ...rest) {
+        const result = await s3.send(command, ...rest);
+        if (loseResponse && command.constructor.name === 'PutObjectCommand') {
+          loseResponse = false;
+          throw s3Error('InternalError', 500);
+        }
+        return result;
+      },
+    };
+    const leases = openLeases(`s3://${BUCKET}/leases`, { s3: client, owner: 'first' });
+
+    const { lease, holder } = await leases.claim(KEY);
+    assert.ok(lease, `held by ${holder?.owner}`);
+    assert.equal(lease.token, (await leases.store.read(KEY)).token);
+    await leases.release(lease);
+  });
+});
+
+describe('runLeasedPipeline', () => {
+  test('tries a key again whose holder could not be read', async () => {
+    const claims = [];
+    const leases = {
+      ttl: 50,
+      async claim(key) {
+        claims.push(key);
+        if (claims.length === 1) return { holder: null };
+        return { lease: { key, signal: new AbortController().signal } };
+      },
+      async release() {},
+    };
+    const ran = [];
+
+    await runLeasedPipeline(
+      [KEY],
+      [{ name: 'work', concurrency: 1, run: async (job) => ran.push(job.item) }],
+      leases
+    );
+
+    assert.deepEqual(claims, [KEY, KEY]);
+    assert.deepEqual(ran, [KEY]);
+  });
+});
+
+describe('transcode with --leases', () => {
+  test('leaves keys to the instance holding them and takes them over once they expire', async () => {
+    const drive = createFakeDrive();
+    const keys = [1, 2].map((camera) => vdrKey({ camera }));
+    for (const key of keys) {
+      s3.putObject(BUCKET, key, 'source');
+      s3.putObject(BUCKET, convertedKey(key), 'output');
+    }
+    // Another instance holds the second key and stops renewing
+    const other = openLeases('leases', { owner: 'other', ttl: 1200 });
+    const { lease } = await other.claim(keys[1]);
+    clearInterval(lease.timer);
+
+    await runTranscode(
+      {
+        command: 'transcode',
+        bucket: BUCKET,
+        region: 'us-east-1',
+        driveFolderId: drive.rootFolderId,
+        folderTemplate: '{camera}',
+        shard: { index: 0, total: 1 },
+        leases: 'leases',
+        inputEnv: { INPUT_PREFIXES: 'Acme/' },
+        useCPU: true,
+        executeMethod: 'spawn',
+        destinations: ['drive'],
+      },
+      { s3, drive }
+    );
+
+    const ledger = await openLedger('transcode-ledger.jsonl');
+    for (const key of keys) {
+      assert.equal(ledger.get(key).stage, 'done');
+      const { record } = await other.store.read(key);
+      assert.equal(record.state, 'finished');
+      assert.equal(record.outcome, 'done');
+      assert.notEqual(record.owner, 'other');
+    }
+    assert.ok(existsSync(path.resolve('scratch', 'transcode-lease-0')));
+  });
+});